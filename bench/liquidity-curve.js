@@ -0,0 +1,89 @@
+'use strict'
+
+/**
+ * Compare LiquidityCurve#amountAt and #amountReverse against a linear scan,
+ * and time a conservative LiquidityCurve#simplify.
+ *
+ * Usage: npm run bench
+ */
+
+const assert = require('assert')
+const BigNumber = require('bignumber.js')
+const LiquidityCurve = require('../src/lib/liquidity-curve')
+
+const SIZES = [ 1000, 10000 ]
+const QUERIES = 2000
+
+// The segment lookup that LiquidityCurve used before it switched to binary search.
+function linearAmountAt (curve, xVal) {
+  const points = curve.points
+  const x = new BigNumber(xVal).floor()
+  if (x.lt(points[0][0])) return new BigNumber(0)
+  if (x.eq(points[0][0])) return points[0][1]
+  if (points[points.length - 1][0].lte(x)) return points[points.length - 1][1]
+  let i; for (i = 0; points[i][0].lt(x); i++) ;
+  const dy = points[i][1].sub(points[i - 1][1])
+  const dx = points[i][0].sub(points[i - 1][0])
+  return dy.mul(x.sub(points[i - 1][0])).divToInt(dx).add(points[i - 1][1])
+}
+
+function linearAmountReverse (curve, yVal) {
+  const points = curve.points
+  const y = new BigNumber(yVal)
+  if (points[0][1].gte(y)) return points[0][0]
+  if (points[points.length - 1][1].lt(y)) return new BigNumber(Infinity)
+  let i; for (i = 0; points[i][1].lt(y); i++) ;
+  const dx = points[i][0].sub(points[i - 1][0])
+  const dy = points[i][1].sub(points[i - 1][1])
+  const n = dx.mul(y.sub(points[i - 1][1]))
+  const q = n.divToInt(dy)
+  return (q.mul(dy).eq(n) ? q : q.add(1)).add(points[i - 1][0])
+}
+
+function makeCurve (size) {
+  const points = []
+  let x = 0
+  let y = 0
+  for (let i = 0; i < size; i++) {
+    points.push([x, y])
+    x += 1 + Math.floor(Math.random() * 1000000)
+    y += Math.floor(Math.random() * 1000000)
+  }
+  return new LiquidityCurve(points)
+}
+
+function time (fn, inputs) {
+  const start = process.hrtime()
+  const results = inputs.map(fn)
+  const elapsed = process.hrtime(start)
+  return { results, ms: elapsed[0] * 1e3 + elapsed[1] / 1e6 }
+}
+
+function compare (label, fast, slow, inputs) {
+  const linear = time(slow, inputs)
+  const binary = time(fast, inputs)
+  binary.results.forEach((result, i) => {
+    assert.equal(result.toString(), linear.results[i].toString(), label + ' differs at ' + inputs[i])
+  })
+  console.log('  %s: linear %sms, binary %sms (%sx)', label,
+    linear.ms.toFixed(1), binary.ms.toFixed(1), (linear.ms / binary.ms).toFixed(1))
+}
+
+for (const size of SIZES) {
+  const curve = makeCurve(size)
+  const points = curve.getPoints()
+  const maxX = points[points.length - 1][0]
+  const maxY = points[points.length - 1][1]
+  const xs = []
+  const ys = []
+  for (let i = 0; i < QUERIES; i++) {
+    xs.push(Math.floor(Math.random() * maxX * 1.1).toString())
+    ys.push(Math.floor(Math.random() * maxY * 1.1).toString())
+  }
+
+  console.log('%d points, %d queries', size, QUERIES)
+  compare('amountAt', (x) => curve.amountAt(x), (x) => linearAmountAt(curve, x), xs)
+  compare('amountReverse', (y) => curve.amountReverse(y), (y) => linearAmountReverse(curve, y), ys)
+  const simplify = time((maxPoints) => curve.simplify(maxPoints, { conservative: true }), [ 10 ])
+  console.log('  simplify to 10 points: %sms', simplify.ms.toFixed(1))
+}
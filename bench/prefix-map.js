@@ -0,0 +1,125 @@
+'use strict'
+
+/**
+ * Compare the trie-based PrefixMap against the sorted-array implementation it
+ * replaced. The array inserts in O(n) with a scan and a splice, the trie in
+ * O(key length + log n).
+ *
+ * Usage: npm run bench
+ */
+
+const assert = require('assert')
+const PrefixMap = require('../src/lib/prefix-map')
+
+const SIZES = [ 1000, 10000 ]
+const QUERIES = 10000
+// Each comparison reports the fastest of several runs, to leave out warm-up
+// and garbage collection pauses.
+const RUNS = 5
+const SNAPSHOTS = 100
+
+// The PrefixMap that kept its prefixes in a sorted array and scanned it.
+class ArrayPrefixMap {
+  constructor () {
+    this.prefixes = []
+    this.items = {}
+  }
+
+  keys () { return this.prefixes }
+
+  resolve (key) {
+    if (this.items[key]) return this.items[key]
+    const index = this.prefixes.findIndex((e) => key.startsWith(e))
+    if (index === -1) return null
+    return this.items[this.prefixes[index]]
+  }
+
+  insert (prefix, item) {
+    if (!this.items[prefix]) {
+      const index = this.prefixes.findIndex((e) => {
+        if (prefix.length === e.length) return prefix > e
+        return prefix.length > e.length
+      })
+      if (index === -1) this.prefixes.push(prefix)
+      else this.prefixes.splice(index, 0, prefix)
+    }
+    this.items[prefix] = item
+    return item
+  }
+
+  // Without structural sharing, a consistent copy has to copy everything.
+  snapshot () {
+    const copy = new ArrayPrefixMap()
+    copy.prefixes = this.prefixes.slice()
+    copy.items = Object.assign({}, this.items)
+    return copy
+  }
+}
+
+function randomSegment () {
+  return Math.random().toString(36).slice(2, 4 + Math.floor(Math.random() * 6))
+}
+
+function makePrefixes (size) {
+  const prefixes = new Set()
+  while (prefixes.size < size) {
+    // Share parents between prefixes, like ledgers under a few operators.
+    const parent = prefixes.size > 10 && Math.random() < 0.5
+      ? Array.from(prefixes)[Math.floor(Math.random() * prefixes.size)]
+      : 'g.'
+    prefixes.add(parent + randomSegment() + '.')
+  }
+  return Array.from(prefixes)
+}
+
+function time (fn) {
+  let best
+  for (let i = 0; i < RUNS; i++) {
+    const start = process.hrtime()
+    const results = fn()
+    const elapsed = process.hrtime(start)
+    const ms = elapsed[0] * 1e3 + elapsed[1] / 1e6
+    if (!best || ms < best.ms) best = { results, ms }
+  }
+  return best
+}
+
+function compare (label, fast, slow) {
+  const array = time(slow)
+  const trie = time(fast)
+  assert.deepEqual(trie.results, array.results, label + ' differs')
+  console.log('  %s: array %sms, trie %sms (%sx)', label,
+    array.ms.toFixed(1), trie.ms.toFixed(1), (array.ms / trie.ms).toFixed(1))
+}
+
+for (const size of SIZES) {
+  const prefixes = makePrefixes(size)
+  const addresses = []
+  for (let i = 0; i < QUERIES; i++) {
+    addresses.push(Math.random() < 0.9
+      ? prefixes[Math.floor(Math.random() * size)] + randomSegment()
+      : 'private.' + randomSegment())
+  }
+  let trieMap
+  let arrayMap
+
+  console.log('%d prefixes, %d queries', size, QUERIES)
+  compare('insert',
+    () => {
+      trieMap = new PrefixMap()
+      prefixes.forEach((prefix, i) => trieMap.insert(prefix, i))
+      return trieMap.keys()
+    },
+    () => {
+      arrayMap = new ArrayPrefixMap()
+      prefixes.forEach((prefix, i) => arrayMap.insert(prefix, i))
+      return arrayMap.keys()
+    })
+  // Like a routing table that is read through a snapshot per quote.
+  compare('update after each snapshot',
+    () => prefixes.slice(0, SNAPSHOTS).map((prefix, i) => trieMap.snapshot() && trieMap.insert(prefix, i)),
+    () => prefixes.slice(0, SNAPSHOTS).map((prefix, i) => arrayMap.snapshot() && arrayMap.insert(prefix, i)))
+  compare('resolve',
+    () => addresses.map((address) => trieMap.resolve(address)),
+    () => addresses.map((address) => arrayMap.resolve(address)))
+}
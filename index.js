@@ -4,10 +4,12 @@ const PrefixMap = require('./src/lib/prefix-map')
 const LiquidityCurve = require('./src/lib/liquidity-curve')
 const Route = require('./src/lib/route')
 const RoutingTables = require('./src/lib/routing-tables')
+const RouteVerifier = require('./src/lib/route-verifier')
 
 module.exports = {
   PrefixMap,
   LiquidityCurve,
   Route,
-  RoutingTables
+  RoutingTables,
+  RouteVerifier
 }
@@ -0,0 +1,119 @@
+'use strict'
+
+const BigNumber = require('bignumber.js')
+
+const SVG_COLORS = [ '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b' ]
+
+/**
+ * Plot curves on one ASCII chart, for debugging.
+ *
+ * A single curve is drawn with `*`; several curves are drawn with `a`, `b`, …
+ * and a legend. Where curves overlap, the cell is drawn with `#`.
+ *
+ * @param {Object[]} series - `{label, curve}`
+ * @param {Object} [options]
+ * @param {Integer} [options.width=60] - columns in the plot area
+ * @param {Integer} [options.height=15] - rows in the plot area
+ * @returns {String}
+ */
+function toAsciiChart (series, options) {
+  const width = Math.max((options && options.width) || 60, 2)
+  const height = Math.max((options && options.height) || 15, 2)
+  const bounds = getBounds(series)
+  if (!bounds) return '(no points)\n'
+
+  const grid = []
+  for (let row = 0; row < height; row++) grid.push(new Array(width).fill(' '))
+  series.forEach((item, i) => {
+    const symbol = series.length === 1 ? '*' : String.fromCharCode(97 + i % 26)
+    if (item.curve.points.length === 0) return
+    for (let column = 0; column < width; column++) {
+      const x = bounds.maxX.mul(column).div(width - 1).floor()
+      // Leave the chart blank where the curve doesn't start yet.
+      if (x.lt(item.curve.minSourceAmount())) continue
+      const y = item.curve.amountAt(x)
+      const row = height - 1 - y.mul(height - 1).div(bounds.maxY).round().toNumber()
+      const cell = grid[row][column]
+      grid[row][column] = cell === ' ' || cell === symbol ? symbol : '#'
+    }
+  })
+
+  const topLabel = bounds.maxY.toFixed(0)
+  const labelWidth = topLabel.length
+  const lines = grid.map((cells, row) => {
+    const label = row === 0 ? topLabel : row === height - 1 ? '0' : ''
+    return (padLeft(label, labelWidth) + ' |' + cells.join('')).replace(/ +$/, '')
+  })
+  lines.push(padLeft('', labelWidth) + ' +' + '-'.repeat(width))
+  lines.push(padLeft('', labelWidth) + '  0' + padLeft(bounds.maxX.toFixed(0), width - 1))
+  if (series.length > 1) {
+    series.forEach((item, i) => {
+      lines.push(String.fromCharCode(97 + i % 26) + ': ' + item.label)
+    })
+  }
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Plot curves on one SVG chart, for debugging.
+ *
+ * @param {Object[]} series - `{label, curve}`
+ * @param {Object} [options]
+ * @param {Integer} [options.width=400]
+ * @param {Integer} [options.height=300]
+ * @returns {String}
+ */
+function toSVG (series, options) {
+  const width = (options && options.width) || 400
+  const height = (options && options.height) || 300
+  const padding = 30
+  const bounds = getBounds(series) ||
+    { maxX: new BigNumber(1), maxY: new BigNumber(1) }
+  const toX = (x) => x.div(bounds.maxX).mul(width - 2 * padding).add(padding).toFixed(2)
+  const toY = (y) => new BigNumber(height - padding).sub(y.div(bounds.maxY).mul(height - 2 * padding)).toFixed(2)
+
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `  <path d="M${padding} ${padding}V${height - padding}H${width - padding}" fill="none" stroke="#000"/>`,
+    `  <text x="${padding - 4}" y="${padding}" text-anchor="end" font-size="10">${bounds.maxY.toFixed(0)}</text>`,
+    `  <text x="${width - padding}" y="${height - padding + 14}" text-anchor="end" font-size="10">${bounds.maxX.toFixed(0)}</text>`
+  ]
+  series.forEach((item, i) => {
+    if (item.curve.points.length === 0) return
+    const points = item.curve.points.map((point) => toX(point[0]) + ',' + toY(point[1])).join(' ')
+    lines.push(`  <polyline fill="none" stroke="${SVG_COLORS[i % SVG_COLORS.length]}" points="${points}">` +
+      `<title>${escapeXML(item.label)}</title></polyline>`)
+  })
+  lines.push('</svg>')
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * @param {Object[]} series - `{label, curve}`
+ * @returns {Object|undefined} `{maxX, maxY}`, neither of which is zero;
+ *   undefined if every curve is empty
+ */
+function getBounds (series) {
+  const curves = series.map((item) => item.curve).filter((curve) => curve.points.length)
+  if (curves.length === 0) return
+  const maxX = BigNumber.max.apply(null, curves.map((curve) => curve.maxSourceAmount()))
+  const maxY = BigNumber.max.apply(null, curves.map((curve) => curve.maxDestinationAmount()))
+  return {
+    maxX: maxX.isZero() ? new BigNumber(1) : maxX,
+    maxY: maxY.isZero() ? new BigNumber(1) : maxY
+  }
+}
+
+function padLeft (str, width) {
+  return str.length >= width ? str : ' '.repeat(width - str.length) + str
+}
+
+function escapeXML (str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+module.exports = { toAsciiChart, toSVG }
@@ -3,10 +3,17 @@
 const simplify = require('vis-why')
 const Long = require('long')
 const BigNumber = require('bignumber.js')
+const chart = require('./chart')
 
-BigNumber.config({ DECIMAL_PLACES: 19 })
-
-// TODO use integer math
+/**
+ * A piecewise-linear, monotonically increasing curve mapping source amounts
+ * (x) to destination amounts (y).
+ *
+ * All coordinates are non-negative integers. Every operation is carried out
+ * with exact integer arithmetic; whenever a result is not an integer it is
+ * rounded in the connector's favour (source amounts up, destination amounts
+ * down), so a derived curve never promises more than its inputs can deliver.
+ */
 class LiquidityCurve {
   constructor (data) {
     if (typeof data === 'string') {
@@ -18,10 +25,174 @@ class LiquidityCurve {
     }
   }
 
-  setData (data) {
-    if (data.length % 16 !== 0) {
-      throw new InvalidLiquidityCurveError('Invalid LiquidityCurve buffer')
+  /**
+   * Build a straight curve from a fixed exchange rate.
+   *
+   * @param {Number|String} rate - destination units per source unit
+   * @param {Object} limits
+   * @param {Integer|String} [limits.minSource=0] - the smallest source amount the curve accepts
+   * @param {Integer|String} limits.maxSource - the largest source amount the curve accepts
+   * @param {Integer} [limits.scale=0] - shift the rate by this power of ten,
+   *   e.g. the destination asset's scale minus the source asset's
+   * @returns {LiquidityCurve}
+   */
+  static fromRate (rate, limits) {
+    const bnRate = new BigNumber(rate).shift((limits && limits.scale) || 0)
+    if (!bnRate.isFinite() || !bnRate.gt(0)) {
+      throw new InvalidLiquidityCurveError('Rate must be a positive number: ' + rate)
+    }
+    const minSource = parseAmount((limits && limits.minSource) || 0, 'minSource')
+    const maxSource = parseAmount(limits && limits.maxSource, 'maxSource')
+    if (maxSource.lte(minSource)) {
+      throw new InvalidLiquidityCurveError('maxSource must be greater than minSource: ' +
+        maxSource.toString() + ' <= ' + minSource.toString())
     }
+    return new LiquidityCurve([
+      [ minSource, minSource.mul(bnRate).floor() ],
+      [ maxSource, maxSource.mul(bnRate).floor() ]
+    ])
+  }
+
+  /**
+   * Build a concave curve from order book levels, best price first.
+   *
+   * @param {Object[]} levels
+   * @param {Number|String} levels[].price - destination units per source unit
+   * @param {Integer|String} levels[].size - source units available at `price`
+   * @returns {LiquidityCurve}
+   */
+  static fromOrderBook (levels) {
+    if (!Array.isArray(levels) || levels.length === 0) {
+      throw new InvalidLiquidityCurveError('Order book must have at least one level')
+    }
+    const points = [ [0, 0] ]
+    let x = new BigNumber(0)
+    let y = new BigNumber(0)
+    let prevPrice
+    levels.forEach((level, i) => {
+      const price = new BigNumber(level.price)
+      if (!price.isFinite() || !price.gt(0)) {
+        throw new InvalidLiquidityCurveError('Order book level ' + i + ' price must be a positive number: ' + level.price)
+      }
+      if (prevPrice && price.gt(prevPrice)) {
+        throw new InvalidLiquidityCurveError('Order book level ' + i + ' price must not be better than the previous level: ' +
+          price.toString() + ' > ' + prevPrice.toString())
+      }
+      const size = parseAmount(level.size, 'Order book level ' + i + ' size')
+      if (size.isZero()) {
+        throw new InvalidLiquidityCurveError('Order book level ' + i + ' size must be positive')
+      }
+      x = x.add(size)
+      y = y.add(size.mul(price))
+      // Round the running total, so that rounding errors don't accumulate.
+      points.push([ x, y.floor() ])
+      prevPrice = price
+    })
+    return new LiquidityCurve(points)
+  }
+
+  /**
+   * Check curve data without throwing.
+   *
+   * Each violation has a `kind`, the `index` of the offending point (if any)
+   * and a `message`. The kinds are `'invalidBuffer'` (e.g. a wrong length),
+   * `'invalidValue'`, `'negative'`, `'xNotIncreasing'`, `'yDecreasing'` and
+   * `'empty'`. Points are checked against the last point that passed, so a
+   * single outlier is reported once rather than for every point after it.
+   *
+   * @param {Point[]|Buffer|String} data - as accepted by the constructor
+   * @returns {Object[]} the violations; empty if the data is valid
+   */
+  static validate (data) {
+    return checkData(data).violations
+  }
+
+  /**
+   * Build a curve from data, dropping every point that `validate` reports.
+   *
+   * @param {Point[]|Buffer|String} data - as accepted by the constructor
+   * @returns {Object} `{curve, violations}`
+   * @throws {InvalidLiquidityCurveError} if a buffer can't be decoded at all
+   */
+  static repair (data) {
+    const result = checkData(data)
+    const invalidBuffer = result.violations.find((violation) => violation.kind === 'invalidBuffer')
+    if (invalidBuffer) throw new InvalidLiquidityCurveError(invalidBuffer.message)
+    return { curve: new LiquidityCurve(result.points), violations: result.violations }
+  }
+
+  /**
+   * Split a source amount across parallel curves to maximize the total
+   * destination amount.
+   *
+   * `combine` can't do this by itself: the combined curve is the upper
+   * envelope of the curves, and `_crossovers` are where the best single curve
+   * changes, so it quotes one curve at a time rather than the sum of several
+   * shares. Its quote is the baseline that the split must beat.
+   *
+   * Moving an amount between two curves whose shares are both inside linear
+   * segments changes the total linearly, so some optimal split has every
+   * curve but one at a vertex or unused. The split is found by trying each
+   * curve as the one that takes the rest of the amount, with every useful
+   * combination of vertices on the others. Curves with minimum amounts or
+   * convex segments make this a knapsack problem, so the number of
+   * combinations can grow with the product of the curves' vertex counts.
+   * Past `MAX_COMBINATIONS` each curve is filled along its upper concave hull
+   * instead, steepest segments first, which is optimal when the curves are
+   * concave and may deliver a little less when they aren't. Either way the
+   * result is never worse than sending everything through the best single
+   * curve, and no curve is sent an amount that it delivers nothing for.
+   *
+   * @param {LiquidityCurve[]} curves
+   * @param {Integer|String|BigNumber} sourceAmount
+   * @param {Integer} [maxParts=Infinity] - the most curves to send through
+   * @returns {Object} `{amounts, value}`: `amounts` is the source amount for
+   *   each curve, in the order given; `value` is the total destination amount.
+   */
+  static allocate (curves, sourceAmount, maxParts) {
+    const amount = bnFromValue(sourceAmount).floor()
+    const exact = searchSource(curves, amount, checkMaxParts(maxParts))
+    if (exact) return exact
+    const best = allocateAmong(curves, maxParts, (indices) => fillSource(curves, indices, amount))
+    if (amount.isZero()) return best
+    curves.forEach((curve, i) => {
+      if (!curve.points.length) return
+      const value = curve.amountAt(amount)
+      if (value.gt(best.value)) {
+        best.amounts = singleAmount(curves, i, amount)
+        best.value = value
+      }
+    })
+    return best
+  }
+
+  /**
+   * Split a destination amount across parallel curves to minimize the total
+   * source amount, the same way as `LiquidityCurve.allocate`.
+   *
+   * @param {LiquidityCurve[]} curves
+   * @param {Integer|String|BigNumber} destinationAmount
+   * @param {Integer} [maxParts=Infinity] - the most curves to send through
+   * @returns {Object|undefined} `{amounts, cost}`: `amounts` is the source
+   *   amount for each curve, in the order given; `cost` is their total.
+   *   `undefined` if the curves can't deliver `destinationAmount`.
+   */
+  static allocateReverse (curves, destinationAmount, maxParts) {
+    const amount = bnFromValue(destinationAmount)
+    const exact = searchDestination(curves, amount, checkMaxParts(maxParts))
+    if (exact !== undefined) return exact || undefined
+    let best = allocateAmong(curves, maxParts, (indices) => fillDestination(curves, indices, amount))
+    curves.forEach((curve, i) => {
+      if (!curve.points.length) return
+      const cost = curve.amountReverse(amount)
+      if (cost.isFinite() && (!best || cost.lte(best.cost))) {
+        best = { amounts: singleAmount(curves, i, cost), cost }
+      }
+    })
+    return best
+  }
+
+  setData (data) {
     this.data = data
     this.points = deserializePoints(data)
     let prev
@@ -35,27 +206,40 @@ class LiquidityCurve {
       }
       prev = point
     }
+    // segments[i] spans points[i] → points[i + 1].
+    this.segments = []
+    for (let i = 1; i < this.points.length; i++) {
+      this.segments.push({
+        dx: this.points[i][0].sub(this.points[i - 1][0]),
+        dy: this.points[i][1].sub(this.points[i - 1][1])
+      })
+    }
   }
 
+  /**
+   * @param {Number|String|BigNumber} xVal - source amount (rounded down to an integer)
+   * @returns {BigNumber} destination amount, rounded down
+   */
   amountAt (xVal) {
-    const x = bnFromValue(xVal)
+    const x = bnFromValue(xVal).floor()
     const firstPoint = this.points[0]
     const lastPoint = this.points[this.points.length - 1]
     if (x.lt(firstPoint[0])) return new BigNumber(0)
     if (x.eq(firstPoint[0])) return firstPoint[1]
     if (lastPoint[0].lte(x)) return lastPoint[1]
 
-    let i; for (i = 0; this.points[i][0].lt(x); i++) ;
-
+    // firstPoint.x < x < lastPoint.x, so this finds the segment containing x.
+    const i = search(this.points, 0, x)
     const pointA = this.points[i - 1]
-    const pointB = this.points[i]
-    const dy = pointB[1].sub(pointA[1])
-    const dx = pointB[0].sub(pointA[0])
-    return dy.mul(x.sub(pointA[0])).div(dx)
-      .add(pointA[1])
-      .floor()
+    const segment = this.segments[i - 1]
+    return floorDiv(segment.dy.mul(x.sub(pointA[0])), segment.dx).add(pointA[1])
   }
 
+  /**
+   * @param {Number|String|BigNumber} yVal - destination amount
+   * @returns {BigNumber} the smallest source amount that delivers `yVal`,
+   *   rounded up, or Infinity if the curve never reaches `yVal`
+   */
   amountReverse (yVal) {
     const y = bnFromValue(yVal)
     if (this.points[0][1].gte(y)) {
@@ -65,26 +249,281 @@ class LiquidityCurve {
       return new BigNumber(Infinity)
     }
 
-    let i; for (i = 0; this.points[i][1].lt(y); i++) ;
-
+    // firstPoint.y < y <= lastPoint.y, so this finds the segment containing y.
+    const i = search(this.points, 1, y)
     const pointA = this.points[i - 1]
-    const pointB = this.points[i]
-    const dx = pointB[0].sub(pointA[0])
-    const dy = pointB[1].sub(pointA[1])
-    return dx.mul(y.sub(pointA[1])).div(dy)
-      .add(pointA[0])
-      .floor()
+    const segment = this.segments[i - 1]
+    return ceilDiv(segment.dx.mul(y.sub(pointA[1])), segment.dy).add(pointA[0])
+  }
+
+  /**
+   * Change the asset scale of either axis, e.g. `rescale(4, 0)` converts a
+   * curve whose source amounts have scale 2 into one whose source amounts
+   * have scale 6.
+   *
+   * Source amounts are rounded up and destination amounts down, so the new
+   * curve never delivers more than this one.
+   *
+   * @param {Integer} sourceShift - the new source scale minus the old one
+   * @param {Integer} destinationShift - the new destination scale minus the old one
+   * @returns {LiquidityCurve}
+   */
+  rescale (sourceShift, destinationShift) {
+    for (const shift of [sourceShift, destinationShift]) {
+      if (typeof shift !== 'number' || shift % 1 !== 0) {
+        throw new TypeError('LiquidityCurve#rescale shifts must be integers')
+      }
+    }
+    return new LiquidityCurve(this.points
+      .map((point) => [
+        point[0].shift(sourceShift).ceil(),
+        point[1].shift(destinationShift).floor()
+      ])
+      // Rounding up can give consecutive points the same x; keep the lower.
+      .filter(omitDuplicates))
+  }
+
+  /**
+   * @param {Number|String|BigNumber} xVal - positive source amount
+   * @returns {BigNumber} the effective rate: `amountAt(xVal) / xVal`
+   */
+  rateAt (xVal) {
+    const x = bnFromValue(xVal).floor()
+    if (x.isZero()) {
+      throw new TypeError('LiquidityCurve#rateAt amount must be positive')
+    }
+    return this.amountAt(x).div(x)
+  }
+
+  /**
+   * @param {Number|String|BigNumber} xVal - source amount
+   * @returns {BigNumber} the slope of the segment starting at or containing
+   *   `xVal`, or 0 outside the curve's domain
+   */
+  marginalRateAt (xVal) {
+    const x = bnFromValue(xVal).floor()
+    if (!this.points.length) return new BigNumber(0)
+    if (x.lt(this.points[0][0]) || this.points[this.points.length - 1][0].lte(x)) {
+      return new BigNumber(0)
+    }
+    // Find the first point after x; its segment starts at or before x.
+    const i = search(this.points, 0, x.add(1))
+    const segment = this.segments[i - 1]
+    return segment.dy.div(segment.dx)
+  }
+
+  /**
+   * @returns {BigNumber} the smallest source amount the curve accepts;
+   *   anything less delivers nothing
+   */
+  minSourceAmount () {
+    return this.points.length ? this.points[0][0] : new BigNumber(0)
+  }
+
+  /**
+   * @returns {BigNumber} the source amount beyond which the curve delivers no more
+   */
+  maxSourceAmount () {
+    return this.points.length ? this.points[this.points.length - 1][0] : new BigNumber(0)
+  }
+
+  /**
+   * @returns {BigNumber} the most the curve delivers
+   */
+  maxDestinationAmount () {
+    return this.points.length ? this.points[this.points.length - 1][1] : new BigNumber(0)
+  }
+
+  /**
+   * @returns {BigNumber[]} `[minSourceAmount, maxSourceAmount]`
+   */
+  domain () {
+    return [ this.minSourceAmount(), this.maxSourceAmount() ]
+  }
+
+  /**
+   * @returns {BigNumber[]} the destination amounts at either end of the domain
+   */
+  range () {
+    return [
+      this.points.length ? this.points[0][1] : new BigNumber(0),
+      this.maxDestinationAmount()
+    ]
   }
 
   /**
    * Simplify route to contain a maximum number of points.
    *
-   * Uses the Visvalingam-Whyatt line simplification algorithm.
+   * By default this uses the Visvalingam-Whyatt line simplification algorithm,
+   * which may place the simplified curve above the original one. With
+   * `options.conservative` the simplified curve is guaranteed to be on or below
+   * the original at every x, so it never advertises a better rate than the
+   * original.
+   *
+   * @param {Integer} maxPoints
+   * @param {Object} [options]
+   * @param {Boolean} [options.conservative]
+   * @returns {LiquidityCurve}
    */
-  simplify (maxPoints) {
+  simplify (maxPoints, options) {
+    if (options && options.conservative) {
+      return new LiquidityCurve(simplifyBelow(this.points, maxPoints))
+    }
     return new LiquidityCurve(simplify(this.getPoints(), maxPoints))
   }
 
+  /**
+   * Measure how far `curve` strays from this curve, over this curve's domain.
+   *
+   * @param {LiquidityCurve} curve - e.g. a simplified version of this curve
+   * @returns {Object} `{ max, area }` (BigNumbers) - the largest vertical
+   *   distance between the curves, and the area between them
+   */
+  measureError (curve) {
+    const result = { max: new BigNumber(0), area: new BigNumber(0) }
+    const samples = this._samples(curve)
+    for (let i = 0; i < samples.length; i++) {
+      const sample = samples[i]
+      result.max = BigNumber.max(result.max, sample.left.gap.abs(), sample.right.gap.abs())
+      if (i === 0) continue
+      // Both curves are linear between consecutive breakpoints.
+      result.area = result.area.add(trapezoidArea(
+        sample.x.sub(samples[i - 1].x), samples[i - 1].right.gap, sample.left.gap))
+    }
+    return result
+  }
+
+  /**
+   * Simplify the curve to the fewest points that stay within `tolerance`.
+   *
+   * The error at each x is the vertical distance between the curves; it must
+   * not exceed `tolerance.absolute`, or `tolerance.relative` times this
+   * curve's amount at that x.
+   *
+   * @param {Object} tolerance
+   * @param {Number|String} [tolerance.absolute] - in destination units
+   * @param {Number|String} [tolerance.relative] - e.g. 0.01 for 1%
+   * @param {Object} [options] - see LiquidityCurve#simplify
+   * @returns {LiquidityCurve}
+   */
+  simplifyWithin (tolerance, options) {
+    const isWithin = toleranceCheck(tolerance)
+    // Binary search for the smallest point budget whose simplification fits.
+    let best = this
+    let low = 1
+    let high = this.points.length - 1
+    while (low <= high) {
+      const maxPoints = (low + high) >>> 1
+      const simplified = this.simplify(maxPoints, options)
+      if (this._samples(simplified).every(isWithin)) {
+        best = simplified
+        high = maxPoints - 1
+      } else {
+        low = maxPoints + 1
+      }
+    }
+    return best
+  }
+
+  /**
+   * Evaluate this curve and the vertical gap to `curve` at every breakpoint of
+   * either curve within this curve's domain. Between consecutive breakpoints
+   * both curves are linear.
+   *
+   * At each breakpoint `left` is the limit from the left (a curve jumps up
+   * at its first point) and `right` is the value.
+   *
+   * @param {LiquidityCurve} curve
+   * @param {BigNumber[]} [domain=this.domain()] - `[minX, maxX]` to sample
+   * @returns {Object[]} `{ x, left: { value, gap }, right: { value, gap } }`
+   */
+  _samples (curve, domain) {
+    if (this.points.length === 0 && !domain) return []
+    const minX = domain ? domain[0] : this.points[0][0]
+    const maxX = domain ? domain[1] : this.points[this.points.length - 1][0]
+    const xs = this.points.concat(curve.points, [ [minX], [maxX] ])
+      .map((p) => p[0])
+      .filter((x) => minX.lte(x) && x.lte(maxX))
+      .sort((a, b) => a.comparedTo(b))
+      .filter((x, i, xs) => i === 0 || !x.eq(xs[i - 1]))
+
+    const sampleAt = (x, fromLeft) => {
+      const value = valueAt(this.points, x, fromLeft)
+      return { value, gap: value.sub(valueAt(curve.points, x, fromLeft)) }
+    }
+    return xs.map((x, i) => {
+      const right = sampleAt(x, false)
+      // The limit from the left of the domain's start isn't part of the domain.
+      return { x, left: i === 0 ? right : sampleAt(x, true), right }
+    })
+  }
+
+  /**
+   * Compare two parallel curves over the union of their domains.
+   *
+   * `intervals` are the ranges of source amounts where each curve delivers
+   * more, or where they're equal; the `area` of each is the integral of the
+   * gap between the curves. `crossovers` are the points where the curves meet
+   * and the winner changes. `area` is the integral of this curve minus
+   * `curve`, so it's positive if this curve is better overall.
+   *
+   * Crossovers between vertices are accurate to 20 decimal places.
+   *
+   * @param {LiquidityCurve} curve
+   * @returns {Object} `{intervals, crossovers, area}`; each interval is
+   *   `{from, to, winner, area}`, with `winner` one of `'this'`, `'other'`
+   *   or `'equal'`
+   */
+  compare (curve) {
+    const result = { intervals: [], crossovers: [], area: new BigNumber(0) }
+    const curves = [ this, curve ].filter((c) => c.points.length)
+    if (curves.length === 0) return result
+    const domain = [
+      BigNumber.min.apply(null, curves.map((c) => c.minSourceAmount())),
+      BigNumber.max.apply(null, curves.map((c) => c.maxSourceAmount()))
+    ]
+    const samples = this._samples(curve, domain)
+    // Where the curves meet, by x.
+    const meetings = {}
+    const addPiece = (from, to, gap, area) => {
+      const winner = gap.isZero() ? 'equal' : gap.isNegative() ? 'other' : 'this'
+      const last = result.intervals[result.intervals.length - 1]
+      if (last && last.winner === winner) {
+        last.to = to
+        last.area = last.area.add(area.abs())
+      } else {
+        result.intervals.push({ from, to, winner, area: area.abs() })
+      }
+      result.area = result.area.add(area)
+    }
+
+    samples.forEach((sample, i) => {
+      if (sample.left.gap.isZero()) meetings[sample.x] = sample.left.value
+      if (sample.right.gap.isZero()) meetings[sample.x] = sample.right.value
+      if (i === 0) return
+      const prev = samples[i - 1]
+      const gapA = prev.right.gap
+      const gapB = sample.left.gap
+      const width = sample.x.sub(prev.x)
+      if (gapA.isZero() || gapB.isZero() || gapA.isNegative() === gapB.isNegative()) {
+        addPiece(prev.x, sample.x, gapA.isZero() ? gapB : gapA, width.mul(gapA.add(gapB)).div(2))
+        return
+      }
+      // The line crosses the axis, so split it into two triangles.
+      const drop = gapA.sub(gapB)
+      const crossX = prev.x.add(width.mul(gapA).div(drop))
+      meetings[crossX] = valueAt(this.points, crossX, false)
+      addPiece(prev.x, crossX, gapA, width.mul(gapA).mul(gapA).div(drop.mul(2)))
+      addPiece(crossX, sample.x, gapB, width.mul(gapB).mul(gapB.neg()).div(drop.mul(2)))
+    })
+
+    for (let i = 1; i < result.intervals.length; i++) {
+      const x = result.intervals[i].from
+      if (meetings[x]) result.crossovers.push([ x, meetings[x] ])
+    }
+    return result
+  }
+
   /**
    * Combine two parallel routes, generating a new curve consisting of the best
    * segments of each.
@@ -96,8 +535,9 @@ class LiquidityCurve {
     const combined = this._mapToMax(curve.points)
         .concat(curve._mapToMax(this.points))
         .concat(this._crossovers(curve))
+        .concat(this._steps(curve))
+        .concat(curve._steps(this))
         .sort(comparePoints)
-        .map(roundCoords)
         .filter(omitDuplicates)
 
     // The following check is technically redundant, since LiquidityCurve#setPoints
@@ -119,6 +559,80 @@ class LiquidityCurve {
     return new LiquidityCurve(combined)
   }
 
+  /**
+   * Take the lower envelope of two parallel curves: at every source amount,
+   * the new curve delivers the smaller of the two amounts.
+   *
+   * Below the later of the two starts one of the curves delivers nothing, so
+   * the new curve starts there. Crossovers are rounded right and down, which
+   * keeps the new curve on or below both curves.
+   *
+   * @param {LiquidityCurve} curve
+   * @returns {LiquidityCurve}
+   */
+  minimum (curve) {
+    if (this.points.length === 0 || curve.points.length === 0) {
+      return new LiquidityCurve([])
+    }
+    const start = BigNumber.max(this.points[0][0], curve.points[0][0])
+    const points = this._mapToMin(curve.points)
+      .concat(curve._mapToMin(this.points))
+      .concat(this._crossovers(curve))
+      .filter((point) => start.lte(point[0]))
+      .sort(comparePoints)
+      .filter(omitDuplicates)
+    return new LiquidityCurve(points)
+  }
+
+  /**
+   * Swap the axes, so the new curve maps destination amounts to the source
+   * amounts that deliver them.
+   *
+   * `amountAt` on the new curve never quotes less than `amountReverse` on this
+   * one: where this curve is flat the new curve keeps the smallest source
+   * amount, as `amountReverse` does, and between vertices it may quote up to
+   * one unit more. Beyond `maxDestinationAmount()` it returns the source
+   * amount that delivers it rather than Infinity, so check the range before
+   * relying on it.
+   *
+   * @returns {LiquidityCurve}
+   */
+  invert () {
+    if (this.points.length === 0) return new LiquidityCurve([])
+    const first = this.points[0]
+    // Anything up to the first point's destination amount costs its source amount.
+    const points = first[1].isZero() ? [] : [ [ new BigNumber(0), first[0] ] ]
+    points.push([ first[1], first[0] ])
+    this.segments.forEach((segment, i) => {
+      // Where this curve is flat, keep the smallest source amount.
+      if (segment.dy.isZero()) return
+      const pointA = this.points[i]
+      const pointB = this.points[i + 1]
+      const afterFlat = !points[points.length - 1][1].eq(pointA[0])
+      for (const point of invertSegment(pointA, segment, afterFlat)) points.push(point)
+      points.push([ pointB[1], pointB[0] ])
+    })
+    return new LiquidityCurve(points)
+  }
+
+  /**
+   * A._mapToMin(B) to find [AB, b]
+   * B._mapToMin(A) to find [AB, a]
+   *
+   * │              B
+   * │    A a a a a a
+   * │   a    b
+   * │  a  b
+   * │ AB
+   * └────────────────
+   */
+  _mapToMin (points) {
+    return points.map((point) => [
+      point[0],
+      BigNumber.min(point[1], this.amountAt(point[0]))
+    ])
+  }
+
   /**
    * A._mapToMax(B) to find [AB, A]
    * B._mapToMax(A) to find [AB, B]
@@ -165,6 +679,30 @@ class LiquidityCurve {
     return result
   }
 
+  /**
+   * A._steps(B) to find [A, ●] when B starts above A.
+   *
+   * Below its first point a curve is worth 0, so the combined curve jumps up
+   * where B starts. A line can't represent the jump, so A's value just before
+   * B's first point is pinned to keep the combined curve from interpolating
+   * over A.
+   *
+   * │          B b b
+   * │          b
+   * │          b  a a
+   * │    A a a●
+   * │   a
+   * └────────────────
+   */
+  _steps (curve) {
+    if (this.points.length === 0 || curve.points.length === 0) return []
+    const start = curve.points[0]
+    if (start[0].lte(this.points[0][0])) return []
+    if (start[1].lte(this.amountAt(start[0]))) return []
+    const x = start[0].sub(1)
+    return [ [x, this.amountAt(x)] ]
+  }
+
   /**
    * @param {Point[]} pointsA
    * @param {Point[]} pointsB
@@ -187,6 +725,11 @@ class LiquidityCurve {
 
   /**
    * Compose two routes end-to-end: A→B.join(B→C) becomes A→C.
+   *
+   * The composition is exact at every vertex; vertices that fall between
+   * integers are moved right (source rounded up) and down (destination
+   * rounded down).
+   *
    * @param {LiquidityCurve} curve
    * @returns {LiquidityCurve}
    */
@@ -194,9 +737,11 @@ class LiquidityCurve {
     const leftPoints = []
     const minX = curve.points[0][0]
     const maxX = curve.points[curve.points.length - 1][0]
-    this.points.forEach((p) => {
+    const minY = this.points[0][1]
+    this.points.forEach((p, i) => {
       // If `p.y` is not within `curve`'s domain, don't use it to form the new curve.
-      if (minX.lte(p[1]) && p[1].lte(maxX)) {
+      // (Unless `curve` is exhausted from the very start, so the result is flat.)
+      if (minX.lte(p[1]) && (p[1].lte(maxX) || i === 0)) {
         leftPoints.push([ p[0], curve.amountAt(p[1]) ])
       }
     })
@@ -204,6 +749,8 @@ class LiquidityCurve {
     return new LiquidityCurve(
       leftPoints
         .concat(curve.points
+          // Points below `this`'s range would all map onto its first point.
+          .filter((p) => minY.lte(p[0]))
           .map((p) => [ this.amountReverse(p[0]), p[1] ])
         )
         .sort(comparePoints)
@@ -242,6 +789,77 @@ class LiquidityCurve {
     return new LiquidityCurve(shiftedPoints)
   }
 
+  /**
+   * Keep a fraction of every destination amount, e.g. `applySpread(0.01)`
+   * delivers 99% of what this curve delivers.
+   *
+   * @param {Number|String} _rate - between 0 and 1
+   * @returns {LiquidityCurve}
+   */
+  applySpread (_rate) {
+    const rate = new BigNumber(_rate)
+    if (rate.isNaN() || rate.isNegative() || rate.gt(1)) {
+      throw new TypeError('LiquidityCurve#applySpread rate must be between 0 and 1')
+    }
+    const keep = new BigNumber(1).sub(rate)
+    return new LiquidityCurve(this.points.map((p) => [ p[0], p[1].mul(keep).floor() ]))
+  }
+
+  /**
+   * Charge a fee in source units before converting the rest:
+   * `fee(x) = max(min, fixed + x * percent / 100)`.
+   *
+   * @param {Object} fee
+   * @param {Number|String} [fee.fixed] - charged on every payment
+   * @param {Number|String} [fee.percent] - percentage of the source amount, e.g. 0.5 for 0.5%
+   * @param {Number|String} [fee.min] - the smallest fee charged
+   * @returns {LiquidityCurve}
+   */
+  applyFee (fee) {
+    const fixed = new BigNumber(fee.fixed || 0)
+    const min = new BigNumber(fee.min || 0)
+    const rate = new BigNumber(fee.percent || 0).div(100)
+    for (const value of [fixed, min, rate]) {
+      if (value.isNaN() || value.isNegative()) {
+        throw new TypeError('LiquidityCurve#applyFee fees must not be negative')
+      }
+    }
+    if (rate.gte(1)) {
+      throw new TypeError('LiquidityCurve#applyFee percent must be less than 100')
+    }
+    if (this.points.length === 0) return this
+
+    // `net(x)` is the amount left to convert after paying the fee on `x`, before
+    // it's rounded down. Rounding down loses less than one unit, so the net
+    // curve follows `low(x)`, which stays that far below `net` on both of its
+    // lines, and never converts more than the rounded amount.
+    const keep = new BigNumber(1).sub(rate)
+    const minSlack = roundingSlack(min.decimalPlaces())
+    const rateSlack = roundingSlack(Math.max(keep.decimalPlaces(), fixed.decimalPlaces()))
+    const low = (x) => BigNumber.min(x.sub(min).sub(minSlack), x.mul(keep).sub(fixed).sub(rateSlack))
+    // The smallest integer x for which low(x) >= amount.
+    const gross = (amount) => BigNumber.max(
+      amount.add(min).add(minSlack).ceil(),
+      ceilQuotient(amount.add(fixed).add(rateSlack), keep))
+
+    const maxX = this.points[this.points.length - 1][0]
+    // The rounded net amount is 0 from the smallest amount that covers the fee.
+    const start = BigNumber.max(min.ceil(), ceilQuotient(fixed, keep))
+    const xs = [ start, gross(new BigNumber(0)), gross(maxX) ]
+    // Where the minimum fee gives way to the fixed and percentage fee.
+    if (!rate.isZero()) {
+      const crossover = min.add(minSlack).sub(fixed).sub(rateSlack).div(rate)
+      xs.push(crossover.floor(), crossover.ceil())
+    }
+    const netPoints = xs
+      .filter((x) => start.lte(x) && x.lte(xs[2]))
+      .sort((a, b) => a.comparedTo(b))
+      .filter((x, i, xs) => i === 0 || !x.eq(xs[i - 1]))
+      .map((x) => [ x, BigNumber.max(0, low(x).floor()) ])
+    // `low` is concave, so the segments between its points stay below it.
+    return new LiquidityCurve(netPoints).join(this)
+  }
+
   /**
    * This converts the points to a list of pairs of numbers.
    * It can lose precision, so it should only be used for testing/debugging.
@@ -253,21 +871,661 @@ class LiquidityCurve {
     ])
   }
 
-  toBuffer () { return this.data }
+  /**
+   * Plot the curve as text, for debugging.
+   *
+   * @param {Object} [options] - `{width, height}` of the plot area, in characters
+   * @returns {String}
+   */
+  toAsciiChart (options) {
+    return chart.toAsciiChart([ { label: 'curve', curve: this } ], options)
+  }
+
+  /**
+   * Plot the curve as an SVG image, for debugging.
+   *
+   * @param {Object} [options] - `{width, height}` of the image
+   * @returns {String}
+   */
+  toSVG (options) {
+    return chart.toSVG([ { label: 'curve', curve: this } ], options)
+  }
+
+  /**
+   * There are two encodings:
+   *
+   * - Version 0, the legacy format, has no header: each point is two uint64s,
+   *   each written as its high then its low 32 bits, little-endian.
+   * - Version 1 is a version byte, then the number of points and the deltas
+   *   between consecutive points' coordinates (starting from [0, 0]), each as
+   *   an unsigned LEB128 varint. Amounts are not limited to 64 bits.
+   *
+   * A version 1 buffer is padded with a zero byte if its length would
+   * otherwise be a multiple of 16, so any other length means version 0.
+   *
+   * @param {Integer} [version] - defaults to the encoding the curve was read
+   *   from; curves built from points use version 0 if every amount fits
+   * @returns {Buffer}
+   */
+  toBuffer (version) {
+    if (version === undefined) return this.data
+    return serializePoints(this.points, version)
+  }
+}
+
+/**
+ * @param {Object} tolerance - see LiquidityCurve#simplifyWithin
+ * @returns {function(sample)} whether a sample from LiquidityCurve#_samples is within `tolerance`
+ */
+function toleranceCheck (tolerance) {
+  const hasAbsolute = tolerance && tolerance.absolute !== undefined
+  const hasRelative = tolerance && tolerance.relative !== undefined
+  if (hasAbsolute === hasRelative) {
+    throw new TypeError('LiquidityCurve#simplifyWithin tolerance must have either an absolute or a relative bound')
+  }
+  const bound = new BigNumber(hasAbsolute ? tolerance.absolute : tolerance.relative)
+  if (bound.isNaN() || bound.isNegative()) {
+    throw new TypeError('LiquidityCurve#simplifyWithin tolerance must not be negative')
+  }
+  const isWithin = hasAbsolute
+    ? (point) => point.gap.abs().lte(bound)
+    : (point) => point.gap.abs().lte(point.value.mul(bound))
+  return (sample) => isWithin(sample.left) && isWithin(sample.right)
+}
+
+/**
+ * Simplify `points` without ever going above them.
+ *
+ * Repeatedly applies whichever of these operations loses the least area, until
+ * at most `maxPoints` remain:
+ *
+ * - Drop a point that lies on or above the segment joining its neighbours.
+ * - Merge a point into its right neighbour, keeping the lower y:
+ *   `(x1, y1), (x2, y2)` becomes `(x2, y1)`.
+ *
+ * Neither operation can raise any part of the curve, and both keep every
+ * point on the integer grid. Areas are only used to rank the operations, so
+ * they are computed with JavaScript numbers. The candidate operations are kept
+ * in a heap and only recomputed around each change, so this is O(n log n).
+ *
+ * @param {Point[]} points
+ * @param {Integer} maxPoints
+ * @returns {Point[]}
+ */
+function simplifyBelow (points, maxPoints) {
+  const target = Math.max(maxPoints, 1)
+  if (points.length <= target) return points.slice()
+  // The remaining points, linked to their neighbours so that each operation
+  // only has to update the costs around it.
+  const nodes = points.map((point, id) => ({
+    id,
+    point,
+    number: [ point[0].toNumber(), point[1].toNumber() ],
+    prev: null,
+    next: null,
+    version: 0
+  }))
+  for (let i = 1; i < nodes.length; i++) {
+    nodes[i - 1].next = nodes[i]
+    nodes[i].prev = nodes[i - 1]
+  }
+
+  // Ties go to the leftmost operation, and to a drop before a merge.
+  const operations = new Heap((a, b) => a.cost < b.cost ||
+    (a.cost === b.cost && (a.node.id < b.node.id || (a.node.id === b.node.id && !a.merge && b.merge))))
+  const update = (node) => {
+    node.version++
+    if (!node.next) return
+    if (node.prev && isAboveChord(node.prev.point, node.point, node.next.point)) {
+      const cost = trapezoidSum([ node.prev.number, node.number, node.next.number ]) -
+        trapezoidSum([ node.prev.number, node.next.number ])
+      operations.push({ cost, node, version: node.version, merge: false })
+    }
+    operations.push({ cost: mergeCost(node), node, version: node.version, merge: true })
+  }
+  nodes.forEach(update)
+
+  let head = nodes[0]
+  for (let length = nodes.length; length > target; length--) {
+    let operation
+    do {
+      operation = operations.pop()
+    } while (operation.version !== operation.node.version)
+
+    const node = operation.node
+    let changed
+    if (operation.merge) {
+      const right = node.next
+      node.point = [ right.point[0], node.point[1] ]
+      node.number = [ right.number[0], node.number[1] ]
+      unlink(right)
+      changed = node
+    } else {
+      changed = node.prev
+      unlink(node)
+    }
+    if (!changed.prev) head = changed
+    // An operation's cost depends on at most two points on either side.
+    let start = changed
+    for (let i = 0; i < 2 && start.prev; i++) start = start.prev
+    for (let i = 0, n = start; i < 5 && n; i++, n = n.next) update(n)
+  }
+
+  const result = []
+  for (let node = head; node; node = node.next) result.push(node.point)
+  return result
+}
+
+function unlink (node) {
+  node.version++
+  if (node.prev) node.prev.next = node.next
+  if (node.next) node.next.prev = node.prev
+}
+
+/**
+ * A binary min-heap.
+ */
+class Heap {
+  /**
+   * @param {function(a, b) ⇒ Boolean} less
+   */
+  constructor (less) {
+    this.less = less
+    this.items = []
+  }
+
+  push (item) {
+    const items = this.items
+    items.push(item)
+    let i = items.length - 1
+    while (i > 0) {
+      const parent = (i - 1) >>> 1
+      if (!this.less(items[i], items[parent])) break
+      swap(items, i, parent)
+      i = parent
+    }
+  }
+
+  pop () {
+    const items = this.items
+    const top = items[0]
+    const last = items.pop()
+    if (items.length) {
+      items[0] = last
+      let i = 0
+      for (;;) {
+        const left = 2 * i + 1
+        const right = left + 1
+        let smallest = i
+        if (left < items.length && this.less(items[left], items[smallest])) smallest = left
+        if (right < items.length && this.less(items[right], items[smallest])) smallest = right
+        if (smallest === i) break
+        swap(items, i, smallest)
+        i = smallest
+      }
+    }
+    return top
+  }
+}
+
+function swap (items, i, j) {
+  const item = items[i]
+  items[i] = items[j]
+  items[j] = item
+}
+
+/**
+ * @param {Point[]|Buffer|String} data
+ * @returns {Object} `{points, violations}`; `points` are the points that passed
+ */
+function checkData (data) {
+  const violations = []
+  const violation = (kind, index, message) => violations.push({ kind, index, message })
+  let rawPoints = data
+  if (!(data instanceof Array)) {
+    try {
+      rawPoints = deserializePoints(typeof data === 'string' ? Buffer.from(data, 'base64') : data)
+    } catch (err) {
+      violation('invalidBuffer', undefined, err.message)
+      return { points: [], violations }
+    }
+  }
+
+  const points = []
+  rawPoints.forEach((rawPoint, index) => {
+    if (!(rawPoint instanceof Array) || rawPoint.length !== 2) {
+      violation('invalidValue', index, 'Point ' + index + ' must be an [x, y] pair')
+      return
+    }
+    let point
+    try {
+      point = [ bnFromValue(rawPoint[0]), bnFromValue(rawPoint[1]) ]
+    } catch (err) {
+      const kind = err instanceof InvalidLiquidityCurveError ? 'negative' : 'invalidValue'
+      violation(kind, index, 'Point ' + index + ': ' + err.message)
+      return
+    }
+    const prev = points[points.length - 1]
+    if (prev && point[0].lte(prev[0])) {
+      violation('xNotIncreasing', index, 'Point ' + index + ' x-coordinate must be greater than ' +
+        prev[0].toFixed(0) + ': ' + point[0].toFixed(0))
+      return
+    }
+    if (prev && point[1].lt(prev[1])) {
+      violation('yDecreasing', index, 'Point ' + index + ' y-coordinate must not be less than ' +
+        prev[1].toFixed(0) + ': ' + point[1].toFixed(0))
+      return
+    }
+    points.push(point)
+  })
+  if (rawPoints.length === 0) violation('empty', undefined, 'Curve has no points')
+  return { points, violations }
+}
+
+/**
+ * The vertices strictly inside one rising segment of an inverted curve.
+ *
+ * `amountReverse` rounds the source amount up, which a straight line between
+ * the segment's ends can't do, so the line is replaced by one that is rounded
+ * up at both ends of the interior. The source amount only reaches `pointB`'s
+ * once the destination amount passes the last step before it, so from there
+ * the inverted segment is flat.
+ *
+ * @param {Point} pointA - the segment's start, on this curve
+ * @param {Object} segment - `{dx, dy}`, with `dy` positive
+ * @param {Boolean} afterFlat - whether `pointA` ends a flat run, so that the
+ *   inverted segment starts at a smaller source amount and must be pinned to
+ *   the line one destination unit later
+ * @returns {Point[]} `[destination, source]` pairs
+ */
+function invertSegment (pointA, segment, afterFlat) {
+  const y0 = pointA[1]
+  const x1 = pointA[0].add(segment.dx)
+  const y1 = y0.add(segment.dy)
+  const first = y0.add(1)
+  if (first.gte(y1)) return []
+  // `amountReverse(y)` is this line's value rounded down, before it's rounded up.
+  const roundedUp = (y) => pointA[0].add(ceilDiv(segment.dx.mul(y.sub(y0)).add(segment.dy).sub(1), segment.dy))
+  if (segment.dx.mod(segment.dy).isZero()) {
+    // Every step is exact, so only the pinned start needs a vertex.
+    return afterFlat ? [ [ first, pointA[0].add(segment.dx.divToInt(segment.dy)) ] ] : []
+  }
+  // The first destination amount that costs the full `x1`.
+  const full = y0.add(segment.dy.mul(segment.dx.sub(1)).divToInt(segment.dx)).add(1)
+  const last = full.sub(1)
+  const points = []
+  if (first.lte(last)) points.push([ first, roundedUp(first) ])
+  if (first.lt(last)) points.push([ last, roundedUp(last) ])
+  const prev = points[points.length - 1]
+  if (full.lt(y1) && !(prev && prev[1].eq(x1))) points.push([ full, x1 ])
+  return points
+}
+
+/**
+ * Run `fill` over every non-empty curve, dropping the curve with the smallest
+ * share until the allocation uses at most `maxParts` curves.
+ *
+ * @param {LiquidityCurve[]} curves
+ * @param {Integer} [maxParts=Infinity]
+ * @param {Function} fill - `(indices) => {amounts}`, or undefined if the
+ *   curves at `indices` can't carry the amount
+ * @returns {Object|undefined}
+ */
+function allocateAmong (curves, maxParts, fill) {
+  maxParts = checkMaxParts(maxParts)
+  let indices = nonEmptyIndices(curves)
+  while (indices.length) {
+    const result = fill(indices)
+    if (!result) return
+    const used = indices.filter((i) => !result.amounts[i].isZero())
+    if (used.length <= maxParts) return result
+    const smallest = used.reduce((a, b) => result.amounts[b].lt(result.amounts[a]) ? b : a)
+    indices = used.filter((i) => i !== smallest)
+  }
+}
+
+function checkMaxParts (maxParts) {
+  if (maxParts === undefined) return Infinity
+  if (!(maxParts >= 1) || (maxParts !== Infinity && maxParts % 1 !== 0)) {
+    throw new TypeError('LiquidityCurve.allocate maxParts must be a positive integer')
+  }
+  return maxParts
+}
+
+// The most vertex combinations that `searchSource` and `searchDestination`
+// consider before falling back to filling the curves' hulls. That's enough
+// for four curves of a dozen points each, and keeps a quote under
+// about 100ms, since each combination costs a few BigNumber operations.
+const MAX_COMBINATIONS = 5000
+
+/**
+ * See `LiquidityCurve.allocate`.
+ *
+ * @returns {Object|undefined} `{amounts, value}`, or undefined if there are
+ *   too many combinations to search
+ */
+function searchSource (curves, sourceAmount, maxParts) {
+  let best = { combination: EMPTY_COMBINATION, value: new BigNumber(0), spent: new BigNumber(0) }
+  const indices = nonEmptyIndices(curves)
+  const budget = { remaining: MAX_COMBINATIONS }
+  for (const rest of indices) {
+    const others = indices.filter((i) => i !== rest)
+    const combinations = vertexCombinations(curves, others, maxParts, budget, sourceAmount)
+    if (!combinations) return
+    for (const combination of combinations) {
+      const candidate = { combination, value: combination.value, spent: combination.cost }
+      const remaining = sourceAmount.sub(combination.cost)
+      const restValue = curves[rest].amountAt(remaining)
+      if (combination.parts < maxParts && remaining.gt(0) && restValue.gt(0)) {
+        // Only send as much as it takes to deliver `restValue`.
+        candidate.rest = rest
+        candidate.restAmount = BigNumber.max(curves[rest].amountReverse(restValue), 1)
+        candidate.value = candidate.value.add(restValue)
+        candidate.spent = candidate.spent.add(candidate.restAmount)
+      }
+      if (candidate.value.gt(best.value) || (candidate.value.eq(best.value) && candidate.spent.lt(best.spent))) {
+        best = candidate
+      }
+    }
+  }
+  return { amounts: toAmounts(curves, best), value: best.value }
+}
+
+/**
+ * See `LiquidityCurve.allocateReverse`.
+ *
+ * @returns {Object|null|undefined} `{amounts, cost}`, null if the curves
+ *   can't deliver the amount, or undefined if there are too many
+ *   combinations to search
+ */
+function searchDestination (curves, destinationAmount, maxParts) {
+  let best = null
+  const indices = nonEmptyIndices(curves)
+  const budget = { remaining: MAX_COMBINATIONS }
+  for (const rest of indices) {
+    const others = indices.filter((i) => i !== rest)
+    const combinations = vertexCombinations(curves, others, maxParts, budget)
+    if (!combinations) return
+    for (const combination of combinations) {
+      const candidate = { combination, cost: combination.cost }
+      const remaining = destinationAmount.sub(combination.value)
+      if (remaining.gt(0)) {
+        if (combination.parts >= maxParts) continue
+        const restAmount = curves[rest].amountReverse(remaining)
+        if (!restAmount.isFinite()) continue
+        candidate.rest = rest
+        candidate.restAmount = BigNumber.max(restAmount, 1)
+        candidate.cost = candidate.cost.add(candidate.restAmount)
+      }
+      if (!best || candidate.cost.lt(best.cost)) best = candidate
+    }
+  }
+  return best && { amounts: toAmounts(curves, best), cost: best.cost }
+}
+
+const EMPTY_COMBINATION = { cost: new BigNumber(0), value: new BigNumber(0), parts: 0 }
+
+/**
+ * Every combination of a vertex or nothing on each curve, without the ones
+ * that cost at least as much as another, deliver no more and use no fewer
+ * curves. Each combination adds one curve's `amount` to its `parent`.
+ *
+ * @param {LiquidityCurve[]} curves
+ * @param {Integer[]} indices - the curves to combine
+ * @param {Number} maxParts - the most curves to use
+ * @param {Object} budget - `{remaining}`, the combinations left to consider
+ * @param {BigNumber} [maxCost] - the most to spend
+ * @returns {Object[]|undefined} `{cost, value, parts, index, amount, parent}`,
+ *   or undefined if the budget runs out
+ */
+function vertexCombinations (curves, indices, maxParts, budget, maxCost) {
+  let combinations = [ EMPTY_COMBINATION ]
+  for (const index of indices) {
+    const vertices = vertexOptions(curves[index])
+    const next = []
+    for (const parent of combinations) {
+      next.push(parent)
+      if (parent.parts >= maxParts) continue
+      for (const vertex of vertices) {
+        const cost = parent.cost.add(vertex.amount)
+        if (maxCost && cost.gt(maxCost)) break
+        next.push({ cost, value: parent.value.add(vertex.value), parts: parent.parts + 1, index, amount: vertex.amount, parent })
+      }
+    }
+    budget.remaining -= next.length
+    if (budget.remaining < 0) return
+    combinations = withoutDominated(next)
+  }
+  return combinations
+}
+
+/**
+ * @returns {Object[]} `{amount, value}` for each vertex that delivers something
+ */
+function vertexOptions (curve) {
+  const options = []
+  for (const point of curve.points) {
+    // Sending nothing delivers nothing, so a vertex at 0 costs 1.
+    const amount = BigNumber.max(point[0], 1)
+    const value = curve.amountAt(amount)
+    if (!value.isZero()) options.push({ amount, value })
+  }
+  return options
+}
+
+function toAmounts (curves, candidate) {
+  const amounts = curves.map(() => new BigNumber(0))
+  for (let combination = candidate.combination; combination.parent; combination = combination.parent) {
+    amounts[combination.index] = combination.amount
+  }
+  if (candidate.rest !== undefined) amounts[candidate.rest] = candidate.restAmount
+  return amounts
+}
+
+function withoutDominated (combinations) {
+  combinations.sort((a, b) => a.cost.comparedTo(b.cost) || b.value.comparedTo(a.value) || a.parts - b.parts)
+  // The most value of the cheaper combinations that use each number of curves.
+  const bestValues = []
+  return combinations.filter((combination) => {
+    for (let parts = 0; parts <= combination.parts; parts++) {
+      if (bestValues[parts] && bestValues[parts].gte(combination.value)) return false
+    }
+    bestValues[combination.parts] = combination.value
+    return true
+  })
+}
+
+function nonEmptyIndices (curves) {
+  const indices = []
+  curves.forEach((curve, i) => { if (curve.points.length) indices.push(i) })
+  return indices
+}
+
+/**
+ * Curves whose share delivers nothing, e.g. because it's below their minimum
+ * amount, are left out and the amount is filled again without them.
+ *
+ * @returns {Object} `{amounts, value}`
+ */
+function fillSource (curves, indices, sourceAmount) {
+  const amounts = curves.map(() => new BigNumber(0))
+  let remaining = sourceAmount
+  for (const chunk of hullChunks(curves, indices)) {
+    if (remaining.isZero()) break
+    const dx = chunk.to[0].sub(chunk.from[0])
+    const take = BigNumber.min(dx, remaining)
+    amounts[chunk.index] = amounts[chunk.index].add(take)
+    remaining = remaining.sub(take)
+  }
+  const wasted = indices.filter((i) => amounts[i].gt(0) && curves[i].amountAt(amounts[i]).isZero())
+  if (wasted.length) {
+    return fillSource(curves, indices.filter((i) => wasted.indexOf(i) === -1), sourceAmount)
+  }
+  const value = amounts.reduce((sum, amount, i) =>
+    amount.isZero() ? sum : sum.add(curves[i].amountAt(amount)), new BigNumber(0))
+  return { amounts, value }
+}
+
+/**
+ * @returns {Object|undefined} `{amounts, cost}`
+ */
+function fillDestination (curves, indices, destinationAmount) {
+  const amounts = curves.map(() => new BigNumber(0))
+  let remaining = destinationAmount
+  for (const chunk of hullChunks(curves, indices)) {
+    if (remaining.lte(0)) break
+    const dy = chunk.to[1].sub(chunk.from[1])
+    if (dy.lte(remaining)) {
+      amounts[chunk.index] = chunk.to[0]
+      remaining = remaining.sub(dy)
+    } else {
+      // The curve may dip below its hull between vertices, so find the
+      // partial amount on the curve itself.
+      amounts[chunk.index] = curves[chunk.index].amountReverse(chunk.from[1].add(remaining))
+      remaining = new BigNumber(0)
+    }
+  }
+  if (remaining.gt(0)) return
+  const cost = amounts.reduce((sum, amount) => sum.add(amount), new BigNumber(0))
+  return { amounts, cost }
+}
+
+/**
+ * The rising segments of each curve's upper concave hull, steepest first.
+ * A curve's segments are in order, since its hull's slopes decrease.
+ *
+ * @returns {Object[]} `{index, from, to}`
+ */
+function hullChunks (curves, indices) {
+  const chunks = []
+  for (const index of indices) {
+    const hull = upperHull(curves[index].points)
+    for (let i = 1; i < hull.length; i++) {
+      if (hull[i][1].gt(hull[i - 1][1])) {
+        chunks.push({ index, from: hull[i - 1], to: hull[i] })
+      }
+    }
+  }
+  return chunks.sort((a, b) => {
+    const slopeA = a.to[1].sub(a.from[1]).mul(b.to[0].sub(b.from[0]))
+    const slopeB = b.to[1].sub(b.from[1]).mul(a.to[0].sub(a.from[0]))
+    return slopeB.comparedTo(slopeA) || a.index - b.index || a.from[0].comparedTo(b.from[0])
+  })
+}
+
+/**
+ * The upper concave hull of a curve, starting from a source amount of zero.
+ * Its vertices are points on the curve.
+ */
+function upperHull (points) {
+  const hull = points[0][0].isZero() ? [] : [ [ new BigNumber(0), new BigNumber(0) ] ]
+  for (const point of points) {
+    // Drop the last vertex while it's on or below the chord to `point`.
+    while (hull.length >= 2 && isAboveChord(hull[hull.length - 2], point, hull[hull.length - 1])) {
+      hull.pop()
+    }
+    hull.push(point)
+  }
+  return hull
+}
+
+function singleAmount (curves, index, amount) {
+  return curves.map((curve, i) => i === index ? amount : new BigNumber(0))
+}
+
+/**
+ * Whether `b` is on or above the line from `a` to `c`.
+ */
+function isAboveChord (a, b, c) {
+  return b[1].sub(a[1]).mul(c[0].sub(a[0]))
+    .gte(c[1].sub(a[1]).mul(b[0].sub(a[0])))
+}
+
+/**
+ * The area lost by merging `node` into the next point.
+ *
+ * Merging the last two points lowers the curve's maximum, which is not
+ * bounded by its domain, so it's only done when nothing else is possible.
+ */
+function mergeCost (node) {
+  const next = node.next
+  const nextNext = next.next
+  if (!nextNext && node.number[1] < next.number[1]) return Infinity
+  const prev = node.prev ? [ node.prev.number ] : []
+  const rest = nextNext ? [ nextNext.number ] : []
+  const before = prev.concat([ node.number, next.number ], rest)
+  // Merging the first point shrinks the domain: the curve is 0 until the new first point.
+  const after = prev.concat([ [ next.number[0], node.number[1] ] ], rest)
+  return trapezoidSum(before) - trapezoidSum(after)
+}
+
+function trapezoidSum (points) {
+  let area = 0
+  for (let i = 1; i < points.length; i++) {
+    area += (points[i][0] - points[i - 1][0]) * (points[i][1] + points[i - 1][1]) / 2
+  }
+  return area
+}
+
+/**
+ * The area between a line and the x-axis, counting any part below the axis
+ * as positive.
+ *
+ * @param {BigNumber} width
+ * @param {BigNumber} heightA - the line's height at the left
+ * @param {BigNumber} heightB - the line's height at the right
+ * @returns {BigNumber}
+ */
+function trapezoidArea (width, heightA, heightB) {
+  if (heightA.isNegative() === heightB.isNegative() || heightA.isZero() || heightB.isZero()) {
+    return width.mul(heightA.add(heightB)).abs().div(2)
+  }
+  // The line crosses the axis, so split it into two triangles.
+  const a = heightA.abs()
+  const b = heightB.abs()
+  return width.mul(a.mul(a).add(b.mul(b))).div(a.add(b).mul(2))
+}
+
+/**
+ * Evaluate a curve without rounding.
+ *
+ * A curve is 0 before its first point, so at that point the limit from the
+ * left differs from the value.
+ *
+ * @param {Point[]} points
+ * @param {BigNumber} x
+ * @param {Boolean} fromLeft - evaluate the limit from the left
+ * @returns {BigNumber}
+ */
+function valueAt (points, x, fromLeft) {
+  if (points.length === 0) return new BigNumber(0)
+  const firstPoint = points[0]
+  const lastPoint = points[points.length - 1]
+  if (x.lt(firstPoint[0]) || (fromLeft && x.eq(firstPoint[0]))) return new BigNumber(0)
+  if (lastPoint[0].lte(x)) return lastPoint[1]
+  const i = search(points, 0, x)
+  if (points[i][0].eq(x)) return points[i][1]
+  const pointA = points[i - 1]
+  const pointB = points[i]
+  return pointB[1].sub(pointA[1]).mul(x.sub(pointA[0]))
+    .div(pointB[0].sub(pointA[0]))
+    .add(pointA[1])
 }
 
 function omitInfinity (point) { return point[0].toString() !== 'Infinity' }
-function comparePoints (a, b) { return a[0].comparedTo(b[0]) }
-// Round to ensure the connector doesn't lose money.
-function roundCoords (point) { return [ point[0].ceil(), point[1].floor() ] }
+// Sort by x; when rounding moves several points onto the same x, the lowest y
+// comes first. That one came from the leftmost unrounded point, so keeping it
+// stops the neighbouring segment from cutting above the curve.
+function comparePoints (a, b) { return a[0].comparedTo(b[0]) || a[1].comparedTo(b[1]) }
 
 function omitDuplicates (point, i, points) {
   return i === 0 || !point[0].eq(points[i - 1][0])
 }
 
 /**
- * Intersect two line segments using determinants. This is more precise than
- * intersecting the lines using slopes and y-intercepts -- fewer fractions.
+ * Intersect two line segments using determinants. The intersection is the
+ * exact fraction `[xNum / denominator, yNum / denominator]`; it is then rounded
+ * to ensure the connector doesn't lose money (x up, y down).
  *
  * See: http://mathworld.wolfram.com/Line-LineIntersection.html
  */
@@ -284,20 +1542,24 @@ function intersectLineSegments (p1, p2, p3, p4) {
 
   // Parallel lines.
   if (denominator.isZero()) return
-  const x = determinant(
+  let xNum = determinant(
     topLeft, p1[0].sub(p2[0]),
-    bottomLeft, p3[0].sub(p4[0])
-  ).div(denominator)
-  // Ensure that the intersection is within the line segments, not just the lines.
-  if (x.lt(p1[0]) || p2[0].lt(x)) return
-  if (x.lt(p3[0]) || p4[0].lt(x)) return
-  const y = determinant(
+    bottomLeft, p3[0].sub(p4[0]))
+  let yNum = determinant(
     topLeft, p1[1].sub(p2[1]),
-    bottomLeft, p3[1].sub(p4[1])
-  ).div(denominator)
-  if (y.lt(p1[1]) || p2[1].lt(y)) return
-  if (y.lt(p3[1]) || p4[1].lt(y)) return
-  return [x, y]
+    bottomLeft, p3[1].sub(p4[1]))
+  let d = denominator
+  if (d.isNegative()) {
+    xNum = xNum.neg()
+    yNum = yNum.neg()
+    d = d.neg()
+  }
+  // Ensure that the intersection is within the line segments, not just the lines.
+  if (xNum.lt(p1[0].mul(d)) || p2[0].mul(d).lt(xNum)) return
+  if (xNum.lt(p3[0].mul(d)) || p4[0].mul(d).lt(xNum)) return
+  if (yNum.lt(p1[1].mul(d)) || p2[1].mul(d).lt(yNum)) return
+  if (yNum.lt(p3[1].mul(d)) || p4[1].mul(d).lt(yNum)) return
+  return [ ceilDiv(xNum, d), floorDiv(yNum, d) ]
 }
 
 /**
@@ -308,6 +1570,73 @@ function determinant (a, b, c, d) {
   return a.mul(d).sub(b.mul(c))
 }
 
+/**
+ * Divide, rounding up to an integer.
+ *
+ * @param {BigNumber} n - numerator (may have decimals)
+ * @param {BigNumber} d - positive denominator (may have decimals)
+ * @returns {BigNumber}
+ */
+function ceilQuotient (n, d) {
+  const scale = new BigNumber(10).pow(Math.max(n.decimalPlaces(), d.decimalPlaces()))
+  return ceilDiv(n.mul(scale), d.mul(scale))
+}
+
+/**
+ * @param {Integer} decimals
+ * @returns {BigNumber} the most that rounding down a number with `decimals`
+ *   decimal places can lose
+ */
+function roundingSlack (decimals) {
+  return new BigNumber(1).sub(new BigNumber(10).pow(-decimals))
+}
+
+/**
+ * Binary search for the first point whose coordinate is at least `value`.
+ *
+ * @param {Point[]} points
+ * @param {Integer} coord - 0 to search by x, 1 to search by y
+ * @param {BigNumber} value
+ * @returns {Integer} index into `points` (`points.length` if there is none)
+ */
+function search (points, coord, value) {
+  let low = 0
+  let high = points.length
+  while (low < high) {
+    const mid = (low + high) >>> 1
+    if (points[mid][coord].lt(value)) {
+      low = mid + 1
+    } else {
+      high = mid
+    }
+  }
+  return low
+}
+
+/**
+ * Integer division, rounding towards -Infinity.
+ *
+ * @param {BigNumber} n - integer numerator
+ * @param {BigNumber} d - positive integer denominator
+ * @returns {BigNumber}
+ */
+function floorDiv (n, d) {
+  const q = n.divToInt(d)
+  return n.isNegative() && !q.mul(d).eq(n) ? q.sub(1) : q
+}
+
+/**
+ * Integer division, rounding towards +Infinity.
+ *
+ * @param {BigNumber} n - integer numerator
+ * @param {BigNumber} d - positive integer denominator
+ * @returns {BigNumber}
+ */
+function ceilDiv (n, d) {
+  const q = n.divToInt(d)
+  return !n.isNegative() && !q.mul(d).eq(n) ? q.add(1) : q
+}
+
 function max (long1, long2) {
   return long1.gt(long2) ? long1 : long2
 }
@@ -323,18 +1652,62 @@ function bnFromValue (rawValue) {
   if (typeof value === 'string' && value[0] === '-') {
     throw new InvalidLiquidityCurveError('Cannot parse negative value: ' + value)
   }
-  if (value.isBigNumber && value.isNegative()) {
-    throw new InvalidLiquidityCurveError('Cannot parse negative value: ' + value.toString())
+  if (value.isBigNumber) {
+    if (value.isNegative()) {
+      throw new InvalidLiquidityCurveError('Cannot parse negative value: ' + value.toString())
+    }
+    // BigNumbers are immutable, so there's no need to copy it.
+    return value
   }
   return new BigNumber(value)
 }
 
-function serializePoints (points) {
+/**
+ * @param {Integer|String} value
+ * @param {String} name - for the error message
+ * @returns {BigNumber} a non-negative integer
+ */
+function parseAmount (value, name) {
+  let amount
+  try {
+    amount = new BigNumber(value)
+  } catch (err) {}
+  if (!amount || !amount.isInteger() || amount.isNegative()) {
+    throw new InvalidLiquidityCurveError(name + ' must be a non-negative integer: ' + value)
+  }
+  return amount
+}
+
+const MAX_UINT64 = new BigNumber('18446744073709551615')
+const VARINT_VERSION = 1
+
+/**
+ * @param {Point[]} points
+ * @param {Integer} [version] - see LiquidityCurve#toBuffer
+ * @returns {Buffer}
+ */
+function serializePoints (points, version) {
+  const bnPoints = points.map((point) => [ bnFromValue(point[0]), bnFromValue(point[1]) ])
+  if (version === undefined) {
+    const fitsLegacy = bnPoints.every((point) => point[0].lte(MAX_UINT64) && point[1].lte(MAX_UINT64))
+    version = fitsLegacy ? 0 : VARINT_VERSION
+  }
+  if (version === 0) return serializeLegacyPoints(bnPoints)
+  if (version === VARINT_VERSION) return serializeVarintPoints(bnPoints)
+  throw new TypeError('LiquidityCurve#toBuffer version must be 0 or 1')
+}
+
+function serializeLegacyPoints (points) {
   const buffer = Buffer.alloc(points.length * 16)
   let i = 0
   for (const point of points) {
-    const x = Long.fromString(bnFromValue(point[0]).toFixed(0), true)
-    const y = Long.fromString(bnFromValue(point[1]).toFixed(0), true)
+    for (const value of point) {
+      if (value.gt(MAX_UINT64)) {
+        throw new InvalidLiquidityCurveError('Amount exceeds the legacy format\'s 64-bit limit: ' + value.toFixed(0))
+      }
+    }
+    const x = Long.fromString(point[0].toFixed(0), true)
+    const y = Long.fromString(point[1].toFixed(0), true)
     buffer.writeUInt32LE(x.getHighBitsUnsigned(), i)
     buffer.writeUInt32LE(x.getLowBitsUnsigned(), i + 4)
     buffer.writeUInt32LE(y.getHighBitsUnsigned(), i + 8)
@@ -344,7 +1717,34 @@ function serializePoints (points) {
   return buffer
 }
 
+function serializeVarintPoints (points) {
+  const bytes = [ VARINT_VERSION ]
+  writeVarint(bytes, new BigNumber(points.length))
+  let prev = [ new BigNumber(0), new BigNumber(0) ]
+  for (const point of points) {
+    const dx = point[0].sub(prev[0])
+    const dy = point[1].sub(prev[1])
+    if (dx.isNegative() || dy.isNegative()) {
+      throw new InvalidLiquidityCurveError('Curve coordinates must increase in series', points)
+    }
+    writeVarint(bytes, dx)
+    writeVarint(bytes, dy)
+    prev = point
+  }
+  if (bytes.length % 16 === 0) bytes.push(0)
+  return Buffer.from(bytes)
+}
+
 function deserializePoints (buffer) {
+  if (buffer.length % 16 === 0) return deserializeLegacyPoints(buffer)
+  if (buffer[0] !== VARINT_VERSION) {
+    throw new InvalidLiquidityCurveError('Invalid LiquidityCurve buffer: length ' + buffer.length +
+      ' is not a multiple of 16 and version ' + buffer[0] + ' is unsupported')
+  }
+  return deserializeVarintPoints(buffer)
+}
+
+function deserializeLegacyPoints (buffer) {
   const array = new Uint32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4)
   const points = []
   for (let i = 0; i < array.length; i += 4) {
@@ -360,6 +1760,59 @@ function deserializePoints (buffer) {
   return points
 }
 
+function deserializeVarintPoints (buffer) {
+  const cursor = { buffer, offset: 1 }
+  const count = readVarint(cursor)
+  // Every point takes at least two bytes.
+  if (count.mul(2).gt(buffer.length - cursor.offset)) {
+    throw new InvalidLiquidityCurveError('Invalid LiquidityCurve buffer: too short for ' + count + ' points')
+  }
+  const points = []
+  let prev = [ new BigNumber(0), new BigNumber(0) ]
+  for (let i = 0; count.gt(i); i++) {
+    const point = [ prev[0].add(readVarint(cursor)), prev[1].add(readVarint(cursor)) ]
+    points.push(point)
+    prev = point
+  }
+  const padding = buffer.length - cursor.offset
+  if (padding > 1 || (padding === 1 && (buffer[cursor.offset] !== 0 || cursor.offset % 16 !== 0))) {
+    throw new InvalidLiquidityCurveError('Invalid LiquidityCurve buffer: unexpected trailing bytes')
+  }
+  return points
+}
+
+/**
+ * Append an unsigned LEB128 varint.
+ *
+ * @param {Integer[]} bytes
+ * @param {BigNumber} value - non-negative integer
+ */
+function writeVarint (bytes, value) {
+  while (value.gte(128)) {
+    bytes.push(value.mod(128).toNumber() | 0x80)
+    value = value.divToInt(128)
+  }
+  bytes.push(value.toNumber())
+}
+
+/**
+ * @param {Object} cursor - `{buffer, offset}`; `offset` is advanced past the varint
+ * @returns {BigNumber}
+ */
+function readVarint (cursor) {
+  let value = new BigNumber(0)
+  let multiplier = new BigNumber(1)
+  for (;;) {
+    if (cursor.offset >= cursor.buffer.length) {
+      throw new InvalidLiquidityCurveError('Invalid LiquidityCurve buffer: truncated varint')
+    }
+    const byte = cursor.buffer[cursor.offset++]
+    value = value.add(multiplier.mul(byte & 0x7f))
+    if (!(byte & 0x80)) return value
+    multiplier = multiplier.mul(128)
+  }
+}
+
 class InvalidLiquidityCurveError extends Error {
   constructor (message, points) {
     if (points) {
@@ -1,7 +1,5 @@
 'use strict'
 
-const findIndex = require('lodash/findIndex')
-
 /**
  * A key-value map where the members' keys represent prefixes.
  *
@@ -14,70 +12,454 @@ const findIndex = require('lodash/findIndex')
  *   map.get("bar")     // ⇒ 2
  *   map.get("bar.foo") // ⇒ 2 ("bar" is the longest known prefix of "bar.foo")
  *   map.get("random")  // ⇒ null
+ *
+ * The prefixes are kept in a character trie, so `resolve` takes time
+ * proportional to the length of the key rather than the number of prefixes.
+ * `insert` and `delete` also keep the entries sorted in a balanced tree, which
+ * adds O(log n) for n prefixes. `keys`, `items` and `each` take O(n).
+ *
+ * By default keys are matched as raw strings, so "g.us" is a prefix of
+ * "g.usd.alice". With `{matching: 'segment'}` a prefix only matches at a `.`
+ * boundary: "g.us" and "g.us." match "g.us.bob" but not "g.usd.alice". In that
+ * mode prefixes must be valid ILP address prefixes (see `isValidPrefix`) and
+ * keys that aren't valid ILP addresses resolve to null.
+ *
+ * `snapshot` returns a read-only copy in constant time. The copy shares the
+ * trie and the sorted entries with the map, and later changes to the map copy
+ * the nodes they touch instead of modifying the shared ones.
  */
 class PrefixMap {
-  constructor () {
-    this.prefixes = []
-    this.items = {}
+  /**
+   * @param {Object} [options]
+   * @param {String} [options.matching='raw'] - 'raw' or 'segment'
+   */
+  constructor (options) {
+    const matching = (options && options.matching) || 'raw'
+    if (matching !== 'raw' && matching !== 'segment') {
+      throw new TypeError('PrefixMap matching must be "raw" or "segment"')
+    }
+    this.matching = matching
+    this.readOnly = false
+    // Nodes created by this map since its last snapshot, which it may modify.
+    this._owner = {}
+    this.root = createNode(this._owner)
+    this._size = 0
+    // The `{prefix, item}` entries in `keys` order, in a balanced tree that
+    // shares its nodes with snapshots like the trie does.
+    this._order = null
+    this._sortedPrefixes = []
+    this._items = {}
+  }
+
+  /**
+   * The prefixes sorted first in descending length order and, if two prefixes
+   * are the same length, in reverse alphabetical order. Listed from the sorted
+   * entries when read after a change.
+   */
+  get prefixes () {
+    if (!this._sortedPrefixes) {
+      const prefixes = this._sortedPrefixes = []
+      eachEntry(this._order, (entry) => prefixes.push(entry.prefix))
+    }
+    return this._sortedPrefixes
+  }
+
+  /**
+   * `{ prefix ⇒ item }`, listed from the sorted entries when read after a change.
+   */
+  get items () {
+    if (!this._items) {
+      const items = this._items = {}
+      eachEntry(this._order, (entry) => { items[entry.prefix] = entry.item })
+    }
+    return this._items
   }
 
   keys () { return this.prefixes }
 
-  size () { return this.prefixes.length }
+  size () { return this._size }
 
   resolve (key) {
-    // Exact match
-    if (this.items[key]) return this.items[key] // redundant; optimization?
-    // prefix match (the list is in descending length order, and secondarily, reverse-alphabetically)
-    const index = findIndex(this.prefixes, (e) => { return key.startsWith(e) })
-    if (index === -1) return null
-    const prefix = this.prefixes[index]
-    return this.items[prefix]
+    const match = this.resolveKey(key)
+    return match && match.item
   }
 
-  get (prefix) { return this.items[prefix] || null }
+  /**
+   * @param {String} key
+   * @returns {Object|null} `{prefix, item}` for the longest prefix of `key`
+   */
+  resolveKey (key) {
+    const nodes = this._matchingNodes(key)
+    if (nodes.length === 0) return null
+    return toEntry(nodes[nodes.length - 1])
+  }
 
   /**
-   * @param {function(item, key)} fn
+   * @param {String} key
+   * @returns {Object[]} `{prefix, item}` for every prefix of `key`, longest first
    */
-  each (fn) {
-    for (const prefix of this.prefixes) {
-      fn(this.items[prefix], prefix)
+  ancestors (key) {
+    return this._matchingNodes(key).reverse().map(toEntry)
+  }
+
+  /**
+   * @param {String} prefix
+   * @returns {Object[]} `{prefix, item}` for every key that `prefix` matches,
+   *   not including `prefix` itself, in the same order as `keys`
+   */
+  descendants (prefix) {
+    let node = this._findNode(prefix)
+    // In segment mode, "g.us" only has descendants from "g.us." on.
+    const prefixes = []
+    if (node && this.matching === 'segment' && prefix !== '' && !prefix.endsWith('.')) {
+      node = node.children.get('.')
+      if (node && node.isPrefix) prefixes.push(node.prefix)
     }
+    if (!node) return []
+    return collectPrefixes(node, prefixes)
+      .sort(comparePrefixes)
+      .map((key) => toEntry(this._findNode(key)))
   }
 
   /**
-   * Insert the prefix while keeping the prefixes sorted first in length order
-   * and if two prefixes are the same length, sort them in reverse alphabetical order
+   * @param {String} key
+   * @returns {Object[]} the nodes of the prefixes that match `key`, shortest first
    */
+  _matchingNodes (key) {
+    const segment = this.matching === 'segment'
+    if (segment && !PrefixMap.isValidAddress(key)) return []
+    const nodes = []
+    let node = this.root
+    if (node.isPrefix) nodes.push(node)
+    for (let i = 0; i < key.length; i++) {
+      node = node.children.get(key[i])
+      if (!node) break
+      if (!node.isPrefix) continue
+      // In segment mode, "g.us" must not match "g.usd".
+      if (!segment || key[i] === '.' || i + 1 === key.length || key[i + 1] === '.') {
+        nodes.push(node)
+      }
+    }
+    return nodes
+  }
+
+  get (prefix) {
+    const node = this._findNode(prefix)
+    return (node && node.isPrefix && node.item) || null
+  }
+
+  /**
+   * @param {function(item, key)} fn
+   */
+  each (fn) {
+    // Iterate over a snapshot of the tree, so that `fn` may change the map.
+    const order = this._order
+    this._owner = {}
+    eachEntry(order, (entry) => fn(entry.item, entry.prefix))
+  }
+
   insert (prefix, item) {
-    if (!this.items[prefix]) {
-      const index = findIndex(this.prefixes, (e) => {
-        if (prefix.length === e.length) {
-          return prefix > e
-        }
-        return prefix.length > e.length
-      })
-
-      if (index === -1) {
-        this.prefixes.push(prefix)
-      } else {
-        this.prefixes.splice(index, 0, prefix)
+    this._checkWritable()
+    if (this.matching === 'segment' && !PrefixMap.isValidPrefix(prefix)) {
+      throw new TypeError('PrefixMap#insert prefix is not a valid ILP address prefix: ' + prefix)
+    }
+    let node = this.root = this._ownNode(this.root)
+    for (let i = 0; i < prefix.length; i++) {
+      const child = node.children.get(prefix[i])
+      const ownChild = child ? this._ownNode(child) : createNode(this._owner)
+      if (ownChild !== child) {
+        if (node.children === NO_CHILDREN) node.children = new Map()
+        node.children.set(prefix[i], ownChild)
       }
+      node = ownChild
+    }
+    if (!node.isPrefix) {
+      node.isPrefix = true
+      node.prefix = prefix
+      this._size++
+      this._sortedPrefixes = null
     }
-    this.items[prefix] = item
+    node.item = item
+    this._order = insertEntry(this._order, { prefix, item }, this._owner)
+    this._items = null
     return item
   }
 
   delete (prefix) {
-    const index = this.prefixes.indexOf(prefix)
-    if (this.prefixes[index] === prefix) this.prefixes.splice(index, 1)
-    delete this.items[prefix]
+    this._checkWritable()
+    const node = this._findNode(prefix)
+    if (!node || !node.isPrefix) return
+
+    const path = [ this.root = this._ownNode(this.root) ]
+    for (let i = 0; i < prefix.length; i++) {
+      const child = this._ownNode(path[i].children.get(prefix[i]))
+      path[i].children.set(prefix[i], child)
+      path.push(child)
+    }
+    const ownNode = path[path.length - 1]
+    ownNode.isPrefix = false
+    ownNode.prefix = undefined
+    ownNode.item = undefined
+    this._size--
+    this._order = deleteEntry(this._order, prefix, this._owner)
+    this._sortedPrefixes = null
+    this._items = null
+
+    // Prune the branch that no longer leads to any prefix.
+    for (let i = prefix.length; i > 0; i--) {
+      if (path[i].isPrefix || path[i].children.size) break
+      path[i - 1].children.delete(prefix[i - 1])
+    }
+  }
+
+  /**
+   * @returns {PrefixMap} a read-only copy of the map as it is now
+   */
+  snapshot () {
+    if (this.readOnly) return this
+    const copy = new PrefixMap({ matching: this.matching })
+    copy.readOnly = true
+    copy.root = this.root
+    copy._size = this._size
+    copy._order = this._order
+    copy._sortedPrefixes = this._sortedPrefixes
+    copy._items = this._items
+    // The nodes are shared now, so copy them before changing them.
+    this._owner = {}
+    return copy
+  }
+
+  _checkWritable () {
+    if (this.readOnly) throw new Error('PrefixMap is a read-only snapshot')
   }
 
+  _findNode (prefix) {
+    let node = this.root
+    for (let i = 0; i < prefix.length && node; i++) {
+      node = node.children.get(prefix[i])
+    }
+    return node
+  }
+
+  _ownNode (node) {
+    if (node.owner === this._owner) return node
+    return {
+      children: node.children.size ? new Map(node.children) : NO_CHILDREN,
+      isPrefix: node.isPrefix,
+      prefix: node.prefix,
+      item: node.item,
+      owner: this._owner
+    }
+  }
+
+  /**
+   * @returns {Object} `{ prefix ⇒ item }`, in the same order as `keys`
+   */
   toJSON () {
-    return this.items
+    const json = {}
+    this.each((item, prefix) => { json[prefix] = item })
+    return json
+  }
+
+  /**
+   * Compare two maps. Parts of the trie that `a` and `b` share (see
+   * `snapshot`) are skipped, so diffing a map against a recent snapshot of
+   * itself is cheap.
+   *
+   * @param {PrefixMap} a
+   * @param {PrefixMap} b
+   * @param {function(itemA, itemB)} [equals] - defaults to `===`
+   * @returns {Object} `{added, removed, changed}`; `added` and `removed` are
+   *   lists of `{prefix, item}`, and `changed` is a list of
+   *   `{prefix, before, after}`, each in the same order as `keys`
+   */
+  static diff (a, b, equals) {
+    const result = { added: [], removed: [], changed: [] }
+    diffNodes(a.root, b.root, equals || ((itemA, itemB) => itemA === itemB), result)
+    const byPrefix = (entryA, entryB) => comparePrefixes(entryA.prefix, entryB.prefix)
+    result.added.sort(byPrefix)
+    result.removed.sort(byPrefix)
+    result.changed.sort(byPrefix)
+    return result
   }
+
+  /**
+   * An ILP address is one or more segments of letters, digits, `_`, `~` and
+   * `-`, separated by `.`. A trailing `.` is allowed, so that ledger prefixes
+   * can be used as addresses.
+   *
+   * @param {String} address
+   * @returns {Boolean}
+   */
+  static isValidAddress (address) {
+    return typeof address === 'string' && ADDRESS_REGEX.test(address)
+  }
+
+  /**
+   * An ILP address prefix is either an ILP address or the empty (catch-all)
+   * prefix.
+   *
+   * @param {String} prefix
+   * @returns {Boolean}
+   */
+  static isValidPrefix (prefix) {
+    return prefix === '' || PrefixMap.isValidAddress(prefix)
+  }
+}
+
+const ADDRESS_REGEX = /^[a-zA-Z0-9_~-]+(\.[a-zA-Z0-9_~-]+)*\.?$/
+
+// Shared by the leaves, which most nodes are, so that they don't each allocate
+// a map. It's replaced rather than modified when a child is added.
+const NO_CHILDREN = new Map()
+
+function createNode (owner) {
+  return { children: NO_CHILDREN, isPrefix: false, prefix: undefined, item: undefined, owner }
+}
+
+function diffNodes (nodeA, nodeB, equals, result) {
+  if (nodeA === nodeB) return
+  const isPrefixA = !!nodeA && nodeA.isPrefix
+  const isPrefixB = !!nodeB && nodeB.isPrefix
+  if (isPrefixA && isPrefixB) {
+    if (!equals(nodeA.item, nodeB.item)) {
+      result.changed.push({ prefix: nodeA.prefix, before: nodeA.item, after: nodeB.item })
+    }
+  } else if (isPrefixA) {
+    result.removed.push(toEntry(nodeA))
+  } else if (isPrefixB) {
+    result.added.push(toEntry(nodeB))
+  }
+
+  const childrenA = nodeA ? nodeA.children : NO_CHILDREN
+  const childrenB = nodeB ? nodeB.children : NO_CHILDREN
+  childrenA.forEach((childA, char) => diffNodes(childA, childrenB.get(char), equals, result))
+  childrenB.forEach((childB, char) => {
+    if (!childrenA.has(char)) diffNodes(undefined, childB, equals, result)
+  })
+}
+
+function toEntry (node) {
+  return { prefix: node.prefix, item: node.item }
+}
+
+function collectPrefixes (node, prefixes) {
+  node.children.forEach((child) => {
+    if (child.isPrefix) prefixes.push(child.prefix)
+    collectPrefixes(child, prefixes)
+  })
+  return prefixes
+}
+
+// The sorted entries are kept in an AVL tree, with the same copy-on-write
+// owner tokens as the trie: a map changes its own nodes in place, and copies
+// the O(log n) nodes on the path of an insert or delete that it shares with a
+// snapshot.
+
+function ownTreeNode (node, owner) {
+  if (node.owner === owner) return node
+  return { entry: node.entry, left: node.left, right: node.right, height: node.height, owner }
+}
+
+function treeHeight (node) {
+  return node ? node.height : 0
+}
+
+function rotateLeft (node, owner) {
+  const right = ownTreeNode(node.right, owner)
+  node.right = right.left
+  node.height = Math.max(treeHeight(node.left), treeHeight(node.right)) + 1
+  right.left = node
+  right.height = Math.max(treeHeight(right.left), treeHeight(right.right)) + 1
+  return right
+}
+
+function rotateRight (node, owner) {
+  const left = ownTreeNode(node.left, owner)
+  node.left = left.right
+  node.height = Math.max(treeHeight(node.left), treeHeight(node.right)) + 1
+  left.right = node
+  left.height = Math.max(treeHeight(left.left), treeHeight(left.right)) + 1
+  return left
+}
+
+/**
+ * @param {Object} node - owned by `owner`
+ * @param {Object} owner
+ * @returns {Object} the balanced subtree
+ */
+function balanceNode (node, owner) {
+  const leftHeight = treeHeight(node.left)
+  const rightHeight = treeHeight(node.right)
+  node.height = Math.max(leftHeight, rightHeight) + 1
+  if (leftHeight > rightHeight + 1) {
+    if (treeHeight(node.left.left) < treeHeight(node.left.right)) {
+      node.left = rotateLeft(ownTreeNode(node.left, owner), owner)
+    }
+    return rotateRight(node, owner)
+  }
+  if (rightHeight > leftHeight + 1) {
+    if (treeHeight(node.right.right) < treeHeight(node.right.left)) {
+      node.right = rotateRight(ownTreeNode(node.right, owner), owner)
+    }
+    return rotateLeft(node, owner)
+  }
+  return node
+}
+
+/**
+ * @param {Object|null} node
+ * @param {Object} entry - `{prefix, item}`, replacing the entry with the same prefix
+ * @param {Object} owner
+ * @returns {Object} the new tree
+ */
+function insertEntry (node, entry, owner) {
+  if (!node) return { entry, left: null, right: null, height: 1, owner }
+  node = ownTreeNode(node, owner)
+  const order = comparePrefixes(entry.prefix, node.entry.prefix)
+  if (order === 0) {
+    node.entry = entry
+    return node
+  }
+  if (order < 0) node.left = insertEntry(node.left, entry, owner)
+  else node.right = insertEntry(node.right, entry, owner)
+  return balanceNode(node, owner)
+}
+
+/**
+ * @param {Object} node
+ * @param {String} prefix - a prefix in the tree
+ * @param {Object} owner
+ * @returns {Object|null} the new tree
+ */
+function deleteEntry (node, prefix, owner) {
+  node = ownTreeNode(node, owner)
+  const order = comparePrefixes(prefix, node.entry.prefix)
+  if (order < 0) {
+    node.left = deleteEntry(node.left, prefix, owner)
+  } else if (order > 0) {
+    node.right = deleteEntry(node.right, prefix, owner)
+  } else {
+    if (!node.left) return node.right
+    if (!node.right) return node.left
+    let next = node.right
+    while (next.left) next = next.left
+    node.entry = next.entry
+    node.right = deleteEntry(node.right, next.entry.prefix, owner)
+  }
+  return balanceNode(node, owner)
+}
+
+function eachEntry (node, fn) {
+  if (!node) return
+  eachEntry(node.left, fn)
+  fn(node.entry)
+  eachEntry(node.right, fn)
+}
+
+function comparePrefixes (a, b) {
+  if (a.length !== b.length) return b.length - a.length
+  return a < b ? 1 : a > b ? -1 : 0
 }
 
 module.exports = PrefixMap
@@ -0,0 +1,134 @@
+'use strict'
+
+/**
+ * Route attributes, after BGP's path attributes:
+ *
+ * - `communities` - tags such as '65000:100' or 'no-export', for policies to
+ *   match on. Transitive.
+ * - `origin` - how the route entered routing: 'local' (a connector's own
+ *   ledger pair), 'static' (configured) or 'incomplete' (unknown). Transitive.
+ * - `localPreference` - a higher value is preferred. Non-transitive: it's set
+ *   by our own import policy and never advertised or accepted from a peer.
+ * - `med` - a lower value is preferred, like BGP's multi-exit discriminator.
+ *   Non-transitive: a peer may advertise it to us, but we don't pass it on.
+ *
+ * Transitive attributes pass through `Route#join` and are advertised by
+ * `Route#toJSON`. Non-transitive attributes describe the route as we learned
+ * it, so `Route#join` keeps the tail route's values, but `RoutingTables#toJSON`
+ * drops them before the export policy runs.
+ */
+
+// In order of preference, as for BGP's ORIGIN.
+const ORIGINS = [ 'local', 'static', 'incomplete' ]
+
+/**
+ * @param {Object} [attributes]
+ * @returns {Object} a copy with sorted, unique communities
+ */
+function normalize (attributes) {
+  const communities = (attributes && attributes.communities) || []
+  return {
+    communities: communities.filter((community, i) => communities.indexOf(community) === i).sort(),
+    origin: attributes && attributes.origin,
+    localPreference: attributes && attributes.localPreference,
+    med: attributes && attributes.med
+  }
+}
+
+/**
+ * @param {Object} head - attributes of the head route
+ * @param {Object} tail - attributes of the tail route
+ * @returns {Object}
+ */
+function join (head, tail) {
+  return normalize({
+    communities: head.communities.concat(tail.communities),
+    origin: tail.origin,
+    localPreference: tail.localPreference,
+    med: tail.med
+  })
+}
+
+/**
+ * Merge the attributes of parallel routes: every community, the least
+ * preferred origin, the highest local preference and the lowest MED.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object}
+ */
+function combine (a, b) {
+  return normalize({
+    communities: a.communities.concat(b.communities),
+    origin: originRank(a.origin) >= originRank(b.origin) ? a.origin : b.origin,
+    localPreference: pick(a.localPreference, b.localPreference, Math.max),
+    med: pick(a.med, b.med, Math.min)
+  })
+}
+
+/**
+ * @param {Object} attributes
+ * @returns {Object} `attributes` without the non-transitive ones
+ */
+function toTransitive (attributes) {
+  return normalize({ communities: attributes.communities, origin: attributes.origin })
+}
+
+/**
+ * @param {Object} attributes
+ * @returns {Object|undefined} the advertised attributes, or undefined if there
+ *   are none
+ */
+function toData (attributes) {
+  const data = {}
+  if (attributes.communities.length) data.communities = attributes.communities
+  if (attributes.origin !== undefined) data.origin = attributes.origin
+  if (attributes.med !== undefined) data.med = attributes.med
+  return Object.keys(data).length ? data : undefined
+}
+
+/**
+ * @param {Object} [data] - the advertised attributes; a `local_preference`
+ *   from a peer is ignored
+ * @returns {Object}
+ */
+function fromData (data) {
+  return normalize(data && {
+    communities: data.communities,
+    origin: data.origin,
+    med: data.med
+  })
+}
+
+/**
+ * @param {Object} [data] - attributes from a peer
+ * @returns {String|undefined} what's wrong with them
+ */
+function check (data) {
+  if (data === undefined) return
+  if (!data || typeof data !== 'object') return 'must be an object'
+  if (data.communities !== undefined && !(Array.isArray(data.communities) &&
+      data.communities.every((community) => typeof community === 'string'))) {
+    return 'communities must be a list of strings'
+  }
+  if (data.origin !== undefined && ORIGINS.indexOf(data.origin) === -1) {
+    return 'origin must be one of ' + ORIGINS.join(', ')
+  }
+  if (data.med !== undefined && !(typeof data.med === 'number' && data.med >= 0)) {
+    return 'med must be a non-negative number'
+  }
+}
+
+// An unknown origin counts as 'incomplete'.
+function originRank (origin) {
+  const rank = ORIGINS.indexOf(origin)
+  return rank === -1 ? ORIGINS.length - 1 : rank
+}
+
+function pick (a, b, choose) {
+  if (a === undefined) return b
+  if (b === undefined) return a
+  return choose(a, b)
+}
+
+module.exports = { ORIGINS, normalize, join, combine, toTransitive, toData, fromData, check }
@@ -0,0 +1,167 @@
+'use strict'
+
+const crypto = require('crypto')
+const InvalidRouteError = require('./route').InvalidRouteError
+
+const HMAC = 'hmac-sha256'
+const ED25519 = 'ed25519'
+
+/**
+ * Check the signatures on route advertisements.
+ *
+ * A signed RouteData carries a base64 `signature` over its canonical
+ * serialization: the RouteData without `signature`, as JSON with the object
+ * keys sorted. Each peer, identified by the `source_account` of its routes,
+ * either shares an HMAC-SHA256 secret with us or signs with an Ed25519 key.
+ * Ed25519 needs a Node version with `crypto.sign` and `crypto.verify`.
+ *
+ * Example:
+ *   const verifier = new RouteVerifier()
+ *   verifier.setPeer('ledgerB.mary', { algorithm: 'hmac-sha256', secret: 'shh' })
+ *   const signed = RouteVerifier.sign(routeData, { algorithm: 'hmac-sha256', secret: 'shh' })
+ *   verifier.verify(signed) // doesn't throw
+ */
+class RouteVerifier {
+  /**
+   * @param {Object} [options]
+   * @param {Boolean} [options.rejectUnknownPeers] - also reject routes from
+   *   peers without a key, instead of accepting them unsigned
+   */
+  constructor (options) {
+    this.rejectUnknownPeers = !!(options && options.rejectUnknownPeers)
+    this.peers = {} // { "sourceAccount" ⇒ key }
+  }
+
+  /**
+   * @param {String} sourceAccount
+   * @param {Object} key
+   * @param {String} key.algorithm - 'hmac-sha256' or 'ed25519'
+   * @param {String|Buffer} [key.secret] - the shared HMAC secret
+   * @param {String|KeyObject} [key.publicKey] - the peer's Ed25519 public key
+   * @throws {TypeError} if the key is incomplete, or the public key isn't an
+   *   Ed25519 public key
+   */
+  setPeer (sourceAccount, key) {
+    checkKey(key, key && key.algorithm === HMAC ? 'secret' : 'publicKey', 'RouteVerifier#setPeer')
+    this.peers[sourceAccount] = key.algorithm === HMAC
+      ? key
+      : Object.assign({}, key, { publicKey: parsePublicKey(key.publicKey) })
+  }
+
+  /**
+   * @param {String} sourceAccount
+   */
+  removePeer (sourceAccount) {
+    delete this.peers[sourceAccount]
+  }
+
+  /**
+   * @param {RouteData} data
+   * @throws {InvalidRouteError} if the route must be signed and its signature
+   *   is missing or doesn't match
+   */
+  verify (data) {
+    if (!data || typeof data !== 'object') {
+      throw new InvalidRouteError('route', 'must be an object')
+    }
+    const peer = data.source_account
+    const key = this.peers[peer]
+    if (!key) {
+      if (this.rejectUnknownPeers) {
+        throw new InvalidRouteError('source_account', 'has no key to verify the route with', peer)
+      }
+      return
+    }
+    if (typeof data.signature !== 'string' || data.signature === '') {
+      throw new InvalidRouteError('signature', 'is missing', peer)
+    }
+    const message = Buffer.from(canonicalize(data))
+    const signature = Buffer.from(data.signature, 'base64')
+    let valid
+    try {
+      valid = key.algorithm === HMAC
+        ? safeEqual(hmac(key.secret, message), signature)
+        : crypto.verify(null, message, key.publicKey, signature)
+    } catch (err) {
+      throw new InvalidRouteError('signature', 'could not be verified: ' + err.message, peer)
+    }
+    if (!valid) throw new InvalidRouteError('signature', 'does not match', peer)
+  }
+
+  /**
+   * @param {RouteData} data
+   * @param {Object} key
+   * @param {String} key.algorithm - 'hmac-sha256' or 'ed25519'
+   * @param {String|Buffer} [key.secret] - the shared HMAC secret
+   * @param {String|KeyObject} [key.privateKey] - our Ed25519 private key
+   * @returns {RouteData} a copy of `data` with a `signature`
+   */
+  static sign (data, key) {
+    checkKey(key, key && key.algorithm === HMAC ? 'secret' : 'privateKey', 'RouteVerifier.sign')
+    const message = Buffer.from(canonicalize(data))
+    const signature = key.algorithm === HMAC
+      ? hmac(key.secret, message)
+      : crypto.sign(null, message, key.privateKey)
+    return Object.assign({}, data, { signature: signature.toString('base64') })
+  }
+}
+
+function checkKey (key, field, method) {
+  if (!key || (key.algorithm !== HMAC && key.algorithm !== ED25519)) {
+    throw new TypeError(method + ' key algorithm must be "' + HMAC + '" or "' + ED25519 + '"')
+  }
+  if (!key[field]) {
+    throw new TypeError(method + ' ' + key.algorithm + ' key must have a ' + field)
+  }
+  if (key.algorithm === ED25519 && typeof crypto.sign !== 'function') {
+    throw new TypeError(method + ' ed25519 keys need a newer version of Node')
+  }
+}
+
+/**
+ * @param {String|KeyObject} publicKey
+ * @returns {KeyObject}
+ * @throws {TypeError} if `publicKey` isn't an Ed25519 public key
+ */
+function parsePublicKey (publicKey) {
+  let keyObject = publicKey
+  if (!(publicKey instanceof crypto.KeyObject)) {
+    try {
+      keyObject = crypto.createPublicKey(publicKey)
+    } catch (err) {
+      throw new TypeError('RouteVerifier#setPeer ed25519 publicKey could not be parsed: ' + err.message)
+    }
+  }
+  if (keyObject.type !== 'public' || keyObject.asymmetricKeyType !== ED25519) {
+    throw new TypeError('RouteVerifier#setPeer ed25519 publicKey must be an Ed25519 public key')
+  }
+  return keyObject
+}
+
+/**
+ * @param {RouteData} data
+ * @returns {String} JSON of `data` without its signature, with sorted keys
+ */
+function canonicalize (data) {
+  const unsigned = Object.assign({}, data)
+  delete unsigned.signature
+  return JSON.stringify(sortKeys(unsigned))
+}
+
+function sortKeys (value) {
+  if (Array.isArray(value)) return value.map(sortKeys)
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) return value
+  const sorted = {}
+  for (const key of Object.keys(value).sort()) sorted[key] = sortKeys(value[key])
+  return sorted
+}
+
+function hmac (secret, message) {
+  return crypto.createHmac('sha256', secret).update(message).digest()
+}
+
+function safeEqual (a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+module.exports = RouteVerifier
@@ -3,6 +3,7 @@
 const isUndefined = require('lodash/fp/isUndefined')
 const omitUndefined = require('lodash/fp/omitBy')(isUndefined)
 const LiquidityCurve = require('./liquidity-curve')
+const routeAttributes = require('./route-attributes')
 
 class Route {
   /**
@@ -18,6 +19,13 @@ class Route {
    * @param {String} info.destinationAccount
    * @param {Object} info.additionalInfo
    * @param {String} info.targetPrefix
+   * @param {Object} info.sourceAsset - `{code, scale}` of the source ledger
+   * @param {Object} info.destinationAsset - `{code, scale}` of the destination ledger
+   * @param {Object} info.attributes - `{communities, origin, localPreference, med}`,
+   *   see route-attributes.js
+   * @param {String[]} info.connectors - the connectors that the route passes
+   *   through, in order, like a BGP AS path. Each connector is identified by
+   *   the ID it advertises routes with; see RoutingTables#toJSON.
    * @param {String[][]} paths - possible lists of hops inbetween nextLedger and destinationLedger
    */
   constructor (curve, info, paths = [ [] ]) {
@@ -41,6 +49,10 @@ class Route {
     this.isLocal = info.isLocal
     this.sourceAccount = info.sourceAccount
     this.destinationAccount = info.destinationAccount
+    this.sourceAsset = info.sourceAsset
+    this.destinationAsset = info.destinationAsset
+    this.attributes = routeAttributes.normalize(info.attributes)
+    this.connectors = (info.connectors || []).slice()
 
     // this test served its primary purpose of alerting me to creation of routes without epochs; requiring it means adding a lot of boilerplate to the tests, so my inclination is to remove the test
     // if (info.addedDuringEpoch === undefined) {
@@ -54,6 +66,31 @@ class Route {
   amountAt (x) { return this.curve && this.curve.amountAt(x) }
   amountReverse (y) { return this.curve && this.curve.amountReverse(y) }
   getPoints () { return this.curve && this.curve.getPoints() }
+  rateAt (x) { return this.curve && this.curve.rateAt(x) }
+  marginalRateAt (x) { return this.curve && this.curve.marginalRateAt(x) }
+  minSourceAmount () { return this.curve && this.curve.minSourceAmount() }
+  maxSourceAmount () { return this.curve && this.curve.maxSourceAmount() }
+  maxDestinationAmount () { return this.curve && this.curve.maxDestinationAmount() }
+  domain () { return this.curve && this.curve.domain() }
+  range () { return this.curve && this.curve.range() }
+
+  /**
+   * @param {String} community
+   * @returns {Boolean}
+   */
+  hasCommunity (community) {
+    return this.attributes.communities.indexOf(community) !== -1
+  }
+
+  /**
+   * @param {Object} attributes - the attributes to change
+   * @returns {Route} a copy of the route with the attributes changed
+   */
+  withAttributes (attributes) {
+    return new Route(this.curve, Object.assign({}, this, {
+      attributes: Object.assign({}, this.attributes, attributes)
+    }), this.paths)
+  }
 
   maxPathLength () {
     let max = 0
@@ -70,10 +107,21 @@ class Route {
   }
 
   /**
+   * Combine two parallel routes from the same source ledger. The result keeps
+   * this route's ledgers and takes the best segments of both curves and every
+   * path of both. Each other field is merged by `strategy`, see
+   * `Route.defaultCombineStrategy`.
+   *
    * @param {Route} alternateRoute
+   * @param {Object} [strategy] - `{ field ⇒ function(value, alternateValue) ⇒ value }`,
+   *   replacing the default merge of those fields
    * @returns {Route}
    */
-  combine (alternateRoute) {
+  combine (alternateRoute, strategy) {
+    if (strategy) {
+      const unknown = Object.keys(strategy).find((field) => !DEFAULT_COMBINE_STRATEGY.hasOwnProperty(field))
+      if (unknown) throw new TypeError('Route#combine strategy has no field ' + unknown)
+    }
     // only combine with alternate route if the path lengths are the same
     if (alternateRoute.maxPathLength() < this.maxPathLength()) {
       return alternateRoute
@@ -90,25 +138,33 @@ class Route {
       }
     }
 
-    return new Route(combinedCurve, {
+    const merge = Object.assign({}, DEFAULT_COMBINE_STRATEGY, strategy)
+    const info = {
       sourceLedger: this.sourceLedger,
       nextLedger: this.nextLedger,
-      destinationLedger: this.destinationLedger,
-      minMessageWindow: Math.max(this.minMessageWindow, alternateRoute.minMessageWindow),
-      isLocal: false,
-
-      addedDuringEpoch: Math.max(alternateRoute.addedDuringEpoch, this.addedDuringEpoch)
-    }, Object.keys(havePath).map(JSON.parse))
+      destinationLedger: this.destinationLedger
+    }
+    for (const field of Object.keys(merge)) {
+      info[field] = merge[field](this[field], alternateRoute[field], this, alternateRoute)
+    }
+    return new Route(combinedCurve, info, Object.keys(havePath).map(JSON.parse))
   }
 
   /**
    * @param {Route} tailRoute
    * @param {Integer} expiryDuration milliseconds
    * @returns {Route}
+   * @throws {InvalidRouteError} if the routes disagree on the shared ledger's asset
    */
   join (tailRoute, expiryDuration, addedDuringEpoch) {
     // Make sure the routes are actually adjacent, and check for loops:
     if (!canJoin(this, tailRoute)) return
+    // The curves are raw integers, so the shared ledger's amounts must mean the same thing in both.
+    if (!sameAsset(this.destinationAsset, tailRoute.sourceAsset)) {
+      throw new InvalidRouteError('source_asset', 'is ' + JSON.stringify(tailRoute.sourceAsset) +
+        ' but ledger ' + this.destinationLedger + ' has asset ' + JSON.stringify(this.destinationAsset) +
+        ' in the head route', tailRoute.sourceAccount)
+    }
     let joinedCurve
     if (this.curve && tailRoute.curve) {
       joinedCurve = this.curve.join(tailRoute.curve)
@@ -163,6 +219,10 @@ class Route {
       sourceAccount: this.sourceAccount,
       expiresAt: expiryDuration && Date.now() + expiryDuration,
       targetPrefix: tailRoute.targetPrefix,
+      sourceAsset: this.sourceAsset,
+      destinationAsset: tailRoute.destinationAsset,
+      attributes: routeAttributes.join(this.attributes, tailRoute.attributes),
+      connectors: this.connectors.concat(tailRoute.connectors),
       addedDuringEpoch: addedDuringEpoch
     }, Object.keys(havePaths).map(JSON.parse))
   }
@@ -183,18 +243,56 @@ class Route {
     return new Route(this.curve && this.curve.shiftY(dy), this, this.paths)
   }
 
+  /**
+   * @param {Number|String} rate - see LiquidityCurve#applySpread
+   * @returns {Route}
+   */
+  applySpread (rate) {
+    return new Route(this.curve && this.curve.applySpread(rate), this, this.paths)
+  }
+
+  /**
+   * @param {Object} fee - see LiquidityCurve#applyFee
+   * @returns {Route}
+   */
+  applyFee (fee) {
+    return new Route(this.curve && this.curve.applyFee(fee), this, this.paths)
+  }
+
   /**
    * @param {Integer} maxPoints
+   * @param {Object} [options] - see LiquidityCurve#simplify
    * @returns {Route}
    */
-  simplify (maxPoints) {
-    return new Route(this.curve && this.curve.simplify(maxPoints), {
+  simplify (maxPoints, options) {
+    return this._withSimplifiedCurve(this.curve && this.curve.simplify(maxPoints, options))
+  }
+
+  /**
+   * @param {Object} tolerance - see LiquidityCurve#simplifyWithin
+   * @param {Object} [options] - see LiquidityCurve#simplify
+   * @returns {Route}
+   */
+  simplifyWithin (tolerance, options) {
+    return this._withSimplifiedCurve(this.curve && this.curve.simplifyWithin(tolerance, options))
+  }
+
+  _withSimplifiedCurve (curve) {
+    return new Route(curve, {
       sourceLedger: this.sourceLedger,
+      nextLedger: this.nextLedger,
       destinationLedger: this.destinationLedger,
       minMessageWindow: this.minMessageWindow,
+      expiresAt: this.expiresAt,
       additionalInfo: this.additionalInfo,
       isLocal: this.isLocal,
       targetPrefix: this.targetPrefix,
+      sourceAccount: this.sourceAccount,
+      destinationAccount: this.destinationAccount,
+      sourceAsset: this.sourceAsset,
+      destinationAsset: this.destinationAsset,
+      attributes: this.attributes,
+      connectors: this.connectors,
       addedDuringEpoch: this.addedDuringEpoch
     }, this.paths)
   }
@@ -215,6 +313,18 @@ class Route {
     return this.expiresAt
   }
 
+  /**
+   * Like `bumpExpiration`, but leaves this route unchanged.
+   *
+   * @param {Integer} holdDown milliseconds
+   * @returns {Route}
+   */
+  withExpiration (holdDown) {
+    return new Route(this.curve, Object.assign({}, this, {
+      expiresAt: Date.now() + holdDown
+    }), this.paths)
+  }
+
   /**
    * @returns {Object}
    */
@@ -224,12 +334,72 @@ class Route {
       destination_ledger: this.destinationLedger,
       points: this.curve && this.curve.toBuffer().toString('base64'),
       min_message_window: this.minMessageWindow,
+      // Routes that never expire (null) leave it out, like local pairs.
+      expires_at: this.expiresAt == null ? undefined : this.expiresAt,
+      source_account: this.sourceAccount,
+      source_asset: this.sourceAsset,
+      destination_asset: this.destinationAsset,
+      added_during_epoch: this.addedDuringEpoch,
+      paths: this.paths,
+      target_prefix: this.targetPrefix === this.destinationLedger ? undefined : this.targetPrefix,
+      connectors: this.connectors.length ? this.connectors : undefined,
+      attributes: routeAttributes.toData(this.attributes)
+    })
+  }
+
+  /**
+   * Unlike `toJSON`, which is the route advertisement format, this keeps every
+   * field, so that `Route.fromFullJSON` can rebuild the route exactly, e.g.
+   * to persist routes or pass them to another process.
+   *
+   * @returns {Object}
+   */
+  toFullJSON () {
+    return omitUndefined({
+      source_ledger: this.sourceLedger,
+      next_ledger: this.nextLedger,
+      destination_ledger: this.destinationLedger,
+      target_prefix: this.targetPrefix,
+      points: this.curve && this.curve.toBuffer().toString('base64'),
+      min_message_window: this.minMessageWindow,
+      expires_at: this.expiresAt,
+      additional_info: this.additionalInfo,
+      is_local: this.isLocal,
       source_account: this.sourceAccount,
+      destination_account: this.destinationAccount,
+      source_asset: this.sourceAsset,
+      destination_asset: this.destinationAsset,
       added_during_epoch: this.addedDuringEpoch,
-      paths: this.paths
+      paths: this.paths,
+      connectors: this.connectors,
+      attributes: omitUndefined({
+        communities: this.attributes.communities,
+        origin: this.attributes.origin,
+        local_preference: this.attributes.localPreference,
+        med: this.attributes.med
+      })
     })
   }
 
+  /**
+   * Describe the route's ledger paths and plot its curve, for debugging.
+   *
+   * @param {Object} [options] - see LiquidityCurve#toAsciiChart
+   * @returns {String}
+   */
+  explain (options) {
+    const lines = this.paths.map((path) => {
+      const ledgers = [ this.sourceLedger, this.nextLedger ].concat(path)
+      if (this.destinationLedger !== this.nextLedger) ledgers.push(this.destinationLedger)
+      return ledgers.join(' -> ')
+    })
+    if (this.targetPrefix !== this.destinationLedger) {
+      lines.push('target prefix: ' + this.targetPrefix)
+    }
+    const chart = this.curve ? this.curve.toAsciiChart(options) : '(no curve)\n'
+    return lines.join('\n') + '\n' + chart
+  }
+
   toDebugString (nextConnector) {
     return this.sourceLedger.substring(11) + '-' +
       this.nextLedger.substring(11) + '->' +
@@ -238,13 +408,104 @@ class Route {
   }
 }
 
+/**
+ * How `Route#combine` merges each field of two parallel routes. Each function
+ * is called with the field's value on both routes, and then the routes
+ * themselves.
+ */
+const DEFAULT_COMBINE_STRATEGY = {
+  // The combination is no longer a local pair route.
+  isLocal: () => false,
+  // A payment must fit the larger message window.
+  minMessageWindow: (a, b) => Math.max(a, b),
+  // The combined curve is only good until either route expires.
+  expiresAt: (a, b) => earliestExpiry(a, b),
+  // The destinations that both routes reach. A route without a target prefix
+  // reaches its destination ledger.
+  targetPrefix: (a, b, routeA, routeB) => {
+    a = a == null ? routeA.destinationLedger : a
+    b = b == null ? routeB.destinationLedger : b
+    if (containsPrefix(b, a)) return a
+    if (containsPrefix(a, b)) return b
+    return routeA.destinationLedger
+  },
+  // The accounts are only known if both routes agree on them.
+  sourceAccount: (a, b) => a === b ? a : undefined,
+  destinationAccount: (a, b) => a === b ? a : undefined,
+  sourceAsset: (a, b) => a || b,
+  destinationAsset: (a, b) => a || b,
+  // Every key of either route's info; this route's values win.
+  additionalInfo: (a, b) => (a || b) && Object.assign({}, b, a),
+  attributes: (a, b) => routeAttributes.combine(a, b),
+  // Like a BGP AS_SET: every connector that either route passes through.
+  connectors: (a, b) => a.concat(b.filter((connector) => a.indexOf(connector) === -1)),
+  addedDuringEpoch: (a, b) => Math.max(a, b)
+}
+
+/**
+ * @param {Number|null|undefined} a - null if the route never expires,
+ *   undefined if it has no expiry set
+ * @param {Number|null|undefined} b
+ * @returns {Number|null|undefined}
+ */
+function earliestExpiry (a, b) {
+  if (a == null) return b === undefined ? a : b
+  if (b == null) return a
+  return Math.min(a, b)
+}
+
+/**
+ * Like PrefixMap's segment matching: "g.us" contains "g.us.bob" but not "g.usd".
+ *
+ * @param {String} prefix
+ * @param {String} address
+ * @returns {Boolean}
+ */
+function containsPrefix (prefix, address) {
+  if (!address.startsWith(prefix)) return false
+  return prefix === '' || prefix.endsWith('.') ||
+    address.length === prefix.length || address[prefix.length] === '.'
+}
+
 Route.fromData = dataToRoute
+Route.fromLocalData = localDataToRoute
+Route.fromFullJSON = fullJSONToRoute
+Route.defaultCombineStrategy = DEFAULT_COMBINE_STRATEGY
 
 /**
  * @param {Object|Route} data
+ * @param {Integer} currentEpoch
+ * @param {RouteVerifier} [verifier] - check the signature of RouteData
  * @returns {Route}
+ * @throws {InvalidRouteError} if `data` doesn't match the Routes schema, or
+ *   `verifier` rejects its signature
  */
-function dataToRoute (data, currentEpoch) {
+function dataToRoute (data, currentEpoch, verifier) {
+  return buildRoute(data, currentEpoch, verifier, true)
+}
+
+/**
+ * Like `Route.fromData`, for a local pair from our own configuration, which
+ * may leave out `source_account`.
+ *
+ * @param {Object|Route} data
+ * @param {Integer} currentEpoch
+ * @returns {Route}
+ * @throws {InvalidRouteError} if `data` doesn't match the Routes schema
+ */
+function localDataToRoute (data, currentEpoch) {
+  return buildRoute(data, currentEpoch, undefined, false)
+}
+
+/**
+ * @param {Object|Route} data
+ * @param {Integer} currentEpoch
+ * @param {RouteVerifier} [verifier]
+ * @param {Boolean} fromPeer - whether `data` is an advertisement, which must
+ *   name the peer that sent it
+ * @returns {Route}
+ */
+function buildRoute (data, currentEpoch, verifier, fromPeer) {
   if (data instanceof Route) {
     if (data.addedDuringEpoch === undefined) {
       data.addedDuringEpoch = -1
@@ -254,6 +515,8 @@ function dataToRoute (data, currentEpoch) {
     return data
   }
   if (currentEpoch === undefined) throw new Error('must supply currentEpoch as second arg')
+  validateRouteData(data, fromPeer)
+  if (verifier) verifier.verify(data)
   return new Route(data.points, {
     sourceLedger: data.source_ledger,
     nextLedger: data.destination_ledger,
@@ -262,12 +525,120 @@ function dataToRoute (data, currentEpoch) {
     isLocal: false,
     sourceAccount: data.source_account,
     destinationAccount: data.destination_account,
+    sourceAsset: toAsset(data.source_asset),
+    destinationAsset: toAsset(data.destination_asset),
     additionalInfo: data.additional_info,
     targetPrefix: data.target_prefix,
+    attributes: routeAttributes.fromData(data.attributes),
+    connectors: data.connectors,
     addedDuringEpoch: currentEpoch
   }, data.paths)
 }
 
+/**
+ * Check RouteData against the Routes schema, so that bad advertisements are
+ * rejected before they reach the curve and join logic.
+ *
+ * @param {Object} data
+ * @param {Boolean} fromPeer - require `source_account`
+ * @throws {InvalidRouteError} naming the first invalid field
+ */
+function validateRouteData (data, fromPeer) {
+  if (!data || typeof data !== 'object') {
+    throw new InvalidRouteError('route', 'must be an object')
+  }
+  const peer = typeof data.source_account === 'string' ? data.source_account : undefined
+  const fail = (field, message) => { throw new InvalidRouteError(field, message, peer) }
+
+  for (const field of [ 'source_ledger', 'destination_ledger', 'source_account' ]) {
+    if (field === 'source_account' && !fromPeer && data[field] === undefined) continue
+    if (typeof data[field] !== 'string' || data[field] === '') {
+      fail(field, 'must be a non-empty string')
+    }
+  }
+  for (const field of [ 'destination_account', 'target_prefix', 'signature' ]) {
+    if (data[field] !== undefined && typeof data[field] !== 'string') {
+      fail(field, 'must be a string')
+    }
+  }
+  if (data.min_message_window !== undefined && !isNonNegativeNumber(data.min_message_window)) {
+    fail('min_message_window', 'must be a non-negative number')
+  }
+  if (data.expires_at != null && !isNonNegativeNumber(data.expires_at)) {
+    fail('expires_at', 'must be a timestamp in milliseconds')
+  }
+  for (const field of [ 'source_asset', 'destination_asset' ]) {
+    if (data[field] !== undefined && !isAsset(data[field])) {
+      fail(field, 'must be {code, scale} with a non-negative integer scale')
+    }
+  }
+  if (data.additional_info !== undefined &&
+      (!data.additional_info || typeof data.additional_info !== 'object')) {
+    fail('additional_info', 'must be an object')
+  }
+  const attributesProblem = routeAttributes.check(data.attributes)
+  if (attributesProblem) fail('attributes', attributesProblem)
+  if (data.paths !== undefined && !(Array.isArray(data.paths) && data.paths.every((path) =>
+      Array.isArray(path) && path.every((ledger) => typeof ledger === 'string')))) {
+    fail('paths', 'must be a list of lists of ledgers')
+  }
+  if (data.connectors !== undefined && !(Array.isArray(data.connectors) &&
+      data.connectors.every((connector) => typeof connector === 'string' && connector !== ''))) {
+    fail('connectors', 'must be a list of connector IDs')
+  }
+  if (data.points !== undefined && !(data.points instanceof LiquidityCurve)) {
+    if (!Array.isArray(data.points) && typeof data.points !== 'string' && !Buffer.isBuffer(data.points)) {
+      fail('points', 'must be a list of points or a base64 string')
+    }
+    // A curve without points is valid, if useless.
+    const violation = LiquidityCurve.validate(data.points)
+      .find((violation) => violation.kind !== 'empty')
+    if (violation) fail('points', 'are invalid: ' + violation.message)
+  }
+}
+
+function isNonNegativeNumber (value) {
+  return typeof value === 'number' && isFinite(value) && value >= 0
+}
+
+function isAsset (value) {
+  return !!value && typeof value === 'object' && typeof value.code === 'string' &&
+    isNonNegativeNumber(value.scale) && value.scale % 1 === 0
+}
+
+function toAsset (asset) {
+  return asset && { code: asset.code, scale: asset.scale }
+}
+
+/**
+ * @param {Object} data - see Route#toFullJSON
+ * @returns {Route}
+ */
+function fullJSONToRoute (data) {
+  return new Route(data.points, {
+    sourceLedger: data.source_ledger,
+    nextLedger: data.next_ledger,
+    destinationLedger: data.destination_ledger,
+    targetPrefix: data.target_prefix,
+    minMessageWindow: data.min_message_window,
+    expiresAt: data.expires_at,
+    additionalInfo: data.additional_info,
+    isLocal: data.is_local,
+    sourceAccount: data.source_account,
+    destinationAccount: data.destination_account,
+    sourceAsset: data.source_asset,
+    destinationAsset: data.destination_asset,
+    attributes: data.attributes && {
+      communities: data.attributes.communities,
+      origin: data.attributes.origin,
+      localPreference: data.attributes.local_preference,
+      med: data.attributes.med
+    },
+    connectors: data.connectors,
+    addedDuringEpoch: data.added_during_epoch
+  }, data.paths)
+}
+
 /**
  * @param {Route} routeA
  * @param {Route} routeB
@@ -281,6 +652,12 @@ function canJoin (routeA, routeB) {
   //  routeC.sourceLedger, routeC.nextLedger, [[ routeA.paths ** [routeA.destinationLedger, routeB.nextLedger] ** routeB.paths ]], routeC.destinationLedger
   // (the ** tries to express that any path from routeA can be combined with any path from routeB)
 
+  // A route must not pass through the same connector twice, even on different ledgers:
+  const connectors = routeA.connectors.concat(routeB.connectors)
+  if (connectors.some((connector, i) => connectors.indexOf(connector) !== i)) {
+    return false
+  }
+
   // These three should always be different from each other:
   const fixedLedgers = [routeA.sourceLedger, routeA.nextLedger, routeB.destinationLedger]
   if (routeA.destinationLedger !== routeB.sourceLedger) {
@@ -328,4 +705,30 @@ function canJoin (routeA, routeB) {
   return true
 }
 
+/**
+ * @param {Object} [assetA] - `{code, scale}`
+ * @param {Object} [assetB] - `{code, scale}`
+ * @returns {Boolean} false if both assets are known and differ
+ */
+function sameAsset (assetA, assetB) {
+  if (!assetA || !assetB) return true
+  return assetA.code === assetB.code && assetA.scale === assetB.scale
+}
+
+class InvalidRouteError extends Error {
+  /**
+   * @param {String} field - the invalid RouteData field
+   * @param {String} message
+   * @param {String} [peer] - the `source_account` that advertised the route
+   */
+  constructor (field, message, peer) {
+    super('Invalid route' + (peer ? ' from ' + peer : '') + ': ' + field + ' ' + message)
+    this.name = 'InvalidRouteError'
+    this.field = field
+    this.peer = peer
+  }
+}
+
+Route.InvalidRouteError = InvalidRouteError
+
 module.exports = Route
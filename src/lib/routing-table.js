@@ -1,40 +1,61 @@
 'use strict'
 
 const PrefixMap = require('./prefix-map')
+const BigNumber = require('bignumber.js')
+const LiquidityCurve = require('./liquidity-curve')
 const debug = require('debug')('ilp-routing:routing-table')
 
 class RoutingTable {
   /**
    * `nextHop` and `bestHop` are `IlpAddress`s referring to the connector's account
    * on the source ledger.
+   *
+   * @param {Object} [options]
+   * @param {String} [options.matching='segment'] - how destination prefixes
+   *   match addresses: 'segment' only matches at `.` boundaries, 'raw' is a
+   *   plain string prefix match (see PrefixMap)
    */
-  constructor () {
-    this.destinations = new PrefixMap()
+  constructor (options) {
+    this.destinations = new PrefixMap({
+      matching: (options && options.matching) || 'segment'
+    })
   }
 
+  /**
+   * The `Map` of routes for each destination is never modified once it's in
+   * the table; changes replace it, so that snapshots can share it.
+   */
   addRoute (destination, nextHop, route) {
-    let routes = this.destinations.get(destination)
-    if (!routes) {
-      routes = new Map()
-      this.destinations.insert(destination, routes)
-    }
+    const routes = new Map(this.destinations.get(destination) || [])
     routes.set(nextHop, route)
+    this.destinations.insert(destination, routes)
   }
 
   /**
    * @returns {Boolean} True if connectivity has been lost
    */
   removeRoute (destination, nextHop) {
-    const routes = this.destinations.get(destination)
-    if (!routes) return false
-    routes.delete(nextHop)
-    if (routes.size === 0) {
+    const oldRoutes = this.destinations.get(destination)
+    if (!oldRoutes || !oldRoutes.has(nextHop)) return false
+    if (oldRoutes.size === 1) {
       this.destinations.delete(destination)
       return true
     }
+    const routes = new Map(oldRoutes)
+    routes.delete(nextHop)
+    this.destinations.insert(destination, routes)
     return false
   }
 
+  /**
+   * @returns {RoutingTable} a read-only copy of the table as it is now
+   */
+  snapshot () {
+    const table = new RoutingTable({ matching: this.destinations.matching })
+    table.destinations = this.destinations.snapshot()
+    return table
+  }
+
   /**
    * Compute a curve quote's `appliesToPrefix`, which is the shortest prefix
    * that uniquely matches the target.
@@ -48,9 +69,10 @@ class RoutingTable {
     // Use `routePrefix` as the initial `appliesToPrefix`.
     // Extend it if it is too general.
     let appliesToPrefix = routePrefix
-    this.destinations.each((routes, targetPrefix) => {
-      if (targetPrefix === routePrefix) return
-      while (targetPrefix.startsWith(appliesToPrefix)) {
+    // Only the prefixes under `routePrefix` can make it too general.
+    this.destinations.descendants(routePrefix).forEach((entry) => {
+      const targetPrefix = entry.prefix
+      while (targetPrefix.startsWith(appliesToPrefix) && appliesToPrefix !== destinationAddress) {
         const nextSegmentEnd = destinationAddress.indexOf('.', appliesToPrefix.length)
         if (nextSegmentEnd === -1) {
           appliesToPrefix = destinationAddress
@@ -65,8 +87,7 @@ class RoutingTable {
   findBestHopForSourceAmount (destination, sourceAmount) {
     const routes = this.destinations.resolve(destination)
     if (!routes) {
-      debug('destination %s is not in known destinations: %s',
-        destination, this.destinations.keys())
+      debug('destination %s is not in known destinations', destination)
       return undefined
     }
 
@@ -100,8 +121,7 @@ class RoutingTable {
   findBestHopForDestinationAmount (destination, destinationAmount) {
     const routes = this.destinations.resolve(destination)
     if (!routes) {
-      debug('destination %s is not in known destinations: %s',
-        destination, this.destinations.keys())
+      debug('destination %s is not in known destinations', destination)
       return undefined
     }
 
@@ -134,9 +154,160 @@ class RoutingTable {
     }
   }
 
+  /**
+   * Split a source amount across next hops to maximize the destination amount.
+   * Like `findBestHopForSourceAmount`, only the shortest routes are considered.
+   *
+   * @param {IlpAddress} destination
+   * @param {Integer|String} sourceAmount
+   * @param {Integer} [maxParts=Infinity] - the most next hops to use
+   * @returns {Object|undefined} `{hops, sourceAmount, destinationAmount}`;
+   *   each hop is `{nextHop, sourceAmount, destinationAmount, route}`
+   */
+  findBestSplit (destination, sourceAmount, maxParts) {
+    const paths = this._getSplitPaths(destination)
+    if (!paths) return undefined
+    const allocation = LiquidityCurve.allocate(
+      paths.map((path) => path.route.curve), sourceAmount, maxParts)
+    debug('findBestSplit to ' + destination + ' for ' + sourceAmount + ' found value ' + allocation.value)
+    return toSplit(paths, allocation.amounts)
+  }
+
+  /**
+   * Split a destination amount across next hops to minimize the source amount.
+   * Like `findBestHopForDestinationAmount`, only the shortest routes are considered.
+   *
+   * @param {IlpAddress} destination
+   * @param {Integer|String} destinationAmount
+   * @param {Integer} [maxParts=Infinity] - the most next hops to use
+   * @returns {Object|undefined} see `findBestSplit`
+   */
+  findBestSplitForDestinationAmount (destination, destinationAmount, maxParts) {
+    const paths = this._getSplitPaths(destination)
+    if (!paths) return undefined
+    const allocation = LiquidityCurve.allocateReverse(
+      paths.map((path) => path.route.curve), destinationAmount, maxParts)
+    if (!allocation) {
+      debug('findBestSplitForDestinationAmount could not deliver ' + destinationAmount + ' to ' + destination)
+      return undefined
+    }
+    debug('findBestSplitForDestinationAmount to ' + destination + ' for ' + destinationAmount + ' found cost ' + allocation.cost)
+    return toSplit(paths, allocation.amounts)
+  }
+
+  /**
+   * Precompute which next hop delivers the most for each band of source amounts.
+   * Like `findBestHopForSourceAmount`, only the shortest routes are considered,
+   * and ties go to the hop that was added first.
+   *
+   * @param {IlpAddress} destination
+   * @returns {Object[]|undefined} `{from, to, nextHop, route}`, in order of
+   *   source amount, covering every route's curve
+   */
+  getBestHopBands (destination) {
+    const paths = this._getSplitPaths(destination)
+    if (!paths) return undefined
+
+    const curves = paths.map((path) => path.route.curve)
+    let bands = [ {
+      from: BigNumber.min.apply(null, curves.map((curve) => curve.minSourceAmount())),
+      to: BigNumber.max.apply(null, curves.map((curve) => curve.maxSourceAmount())),
+      path: paths[0]
+    } ]
+    for (const challenger of paths.slice(1)) {
+      bands = [].concat.apply([], bands.map((band) => {
+        const intervals = challenger.route.curve.compare(band.path.route.curve).intervals
+        return splitBand(band, intervals, challenger)
+      }))
+    }
+
+    const merged = []
+    for (const band of bands) {
+      const last = merged[merged.length - 1]
+      if (last && last.path === band.path) {
+        last.to = band.to
+      } else {
+        merged.push(band)
+      }
+    }
+    return merged.map((band) => ({
+      from: band.from.toString(),
+      to: band.to.toString(),
+      nextHop: band.path.nextHop,
+      route: band.path.route
+    }))
+  }
+
+  /**
+   * @returns {Object[]|undefined} `{nextHop, route}` for the shortest routes with curves
+   */
+  _getSplitPaths (destination) {
+    const routes = this.destinations.resolve(destination)
+    if (!routes) {
+      debug('destination %s is not in known destinations', destination)
+      return undefined
+    }
+
+    let paths = []
+    let shortest = Infinity
+    routes.forEach((route, nextHop) => {
+      if (!route.curve) return
+      const pathLength = route.maxPathLength()
+      if (pathLength < shortest) {
+        shortest = pathLength
+        paths = []
+      }
+      if (pathLength === shortest) paths.push({ nextHop, route })
+    })
+    return paths.length ? paths : undefined
+  }
+
   static _getBetterPath (currentPath, otherPath) { return getBetterPath(currentPath, otherPath) }
 }
 
+/**
+ * Give `challenger` the parts of `band` where it wins one of the `intervals`
+ * from LiquidityCurve#compare.
+ */
+function splitBand (band, intervals, challenger) {
+  const result = []
+  let cursor = band.from
+  for (const interval of intervals) {
+    if (interval.winner !== 'this') continue
+    const from = BigNumber.max(interval.from, band.from)
+    const to = BigNumber.min(interval.to, band.to)
+    if (to.lte(from)) continue
+    if (cursor.lt(from)) result.push({ from: cursor, to: from, path: band.path })
+    result.push({ from, to, path: challenger })
+    cursor = to
+  }
+  if (cursor.lt(band.to)) result.push({ from: cursor, to: band.to, path: band.path })
+  return result
+}
+
+function toSplit (paths, amounts) {
+  const hops = []
+  let sourceAmount = new BigNumber(0)
+  let destinationAmount = sourceAmount
+  paths.forEach((path, i) => {
+    if (amounts[i].isZero()) return
+    const value = path.route.amountAt(amounts[i])
+    sourceAmount = sourceAmount.add(amounts[i])
+    destinationAmount = destinationAmount.add(value)
+    hops.push({
+      nextHop: path.nextHop,
+      sourceAmount: amounts[i].toString(),
+      destinationAmount: value.toString(),
+      route: path.route
+    })
+  })
+  return {
+    hops,
+    sourceAmount: sourceAmount.toString(),
+    destinationAmount: destinationAmount.toString()
+  }
+}
+
 /**
  * If both hops score equally, return `currentPath`.
  * It doesn't actually matter which is returned in that case, so long as it is consistent.
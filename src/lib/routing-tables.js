@@ -1,8 +1,12 @@
 'use strict'
 
 const debug = require('debug')('ilp-routing:routing-tables')
+const chart = require('./chart')
 const PrefixMap = require('./prefix-map')
+const LiquidityCurve = require('./liquidity-curve')
 const Route = require('./route')
+const InvalidRouteError = Route.InvalidRouteError
+const routeAttributes = require('./route-attributes')
 const RoutingTable = require('./routing-table')
 // A next hop of PAIR distinguishes a local pair A→B from a complex route
 // that just happens to be local, i.e. when A→C & C→B are local pairs.
@@ -12,30 +16,97 @@ class RoutingTables {
   /**
    * @param {Object[]} localRoutes
    * @param {Integer} expiryDuration milliseconds
+   * @param {Object} [options]
+   * @param {Boolean} [options.repairCurves] - drop invalid points from the curves
+   *   passed to `addRoute` (see LiquidityCurve.repair), and ignore routes whose
+   *   curves can't be decoded, instead of throwing
+   * @param {Object} [options.assets] - `{ ledger ⇒ {code, scale} }`, see `setAsset`
+   * @param {RouteVerifier} [options.verifier] - check the signatures of the
+   *   RouteData passed to `addRoute`
+   * @param {function(Route) ⇒ Route} [options.importPolicy] - called with each
+   *   route built from RouteData in `addRoute`; returns the route to add, e.g.
+   *   with `withAttributes`, or nothing to ignore it
+   * @param {String} [options.connectorId] - identifies this connector in the
+   *   `connectors` of the routes it advertises; by default each route is
+   *   advertised with our account on its source ledger instead. Use the same ID
+   *   on every ledger, so that peers can detect loops through this connector
+   *   across ledgers.
+   * @param {function(Route) ⇒ Route} [options.exportPolicy] - called with each
+   *   route in `toJSON`, without its non-transitive attributes; returns the
+   *   route to advertise, or nothing to leave it out
+   * @param {Object} [options.combineStrategy] - how `toJSON` merges the fields
+   *   of the routes through each next hop, see Route#combine
+   * @param {String} [options.matching='segment'] - 'segment' matches ledger
+   *   prefixes against addresses only at `.` boundaries and ignores routes to
+   *   prefixes that aren't valid ILP address prefixes; 'raw' keeps the old plain
+   *   string prefix matching
    */
-  constructor (localRoutes, expiryDuration) {
+  constructor (localRoutes, expiryDuration, options) {
+    this.repairCurves = !!(options && options.repairCurves)
+    this.verifier = options && options.verifier
+    this.connectorId = options && options.connectorId
+    this.importPolicy = options && options.importPolicy
+    this.exportPolicy = options && options.exportPolicy
+    this.combineStrategy = options && options.combineStrategy
+    this.matching = (options && options.matching) || 'segment'
     this.currentEpoch = 0
     // todo: remove the expiry logic from here (hold-down should be set by the originator of the route) ; for now, I'm just assuming an acceptable initial expiry, and bumping it when heartbeats are received
     this.expiryDuration = expiryDuration
-    this.sources = new PrefixMap() // { "sourceLedger" => RoutingTable }
+    this.sources = new PrefixMap({ matching: this.matching }) // { "sourceLedger" => RoutingTable }
     this.localAccounts = {} // { "ledger" ⇒ accountURI }
+    this.assets = {} // { "ledger" ⇒ {code, scale} }
+    const assets = (options && options.assets) || {}
+    Object.keys(assets).forEach((ledger) => this.setAsset(ledger, assets[ledger]))
     this.addLocalRoutes(localRoutes)
   }
 
+  /**
+   * Record a ledger's currency and scale. Routes added afterwards that start
+   * or end at the ledger carry the asset, and `addRoute` rejects routes that
+   * advertise a different one.
+   *
+   * @param {String} ledger
+   * @param {Object} asset
+   * @param {String} asset.code - e.g. 'USD'
+   * @param {Integer} asset.scale - e.g. 2 for amounts in cents
+   */
+  setAsset (ledger, asset) {
+    if (!asset || typeof asset.code !== 'string') {
+      throw new TypeError('RoutingTables#setAsset asset must have a code')
+    }
+    if (typeof asset.scale !== 'number' || asset.scale < 0 || asset.scale % 1 !== 0) {
+      throw new TypeError('RoutingTables#setAsset scale must be a non-negative integer')
+    }
+    this.assets[ledger] = { code: asset.code, scale: asset.scale }
+  }
+
+  /**
+   * @param {String} ledger
+   * @returns {Object|undefined} `{code, scale}`
+   */
+  getAsset (ledger) {
+    return this.assets[ledger]
+  }
+
   incrementEpoch () {
     this.currentEpoch++
   }
 
   /**
    * @param {RouteData[]|Route[]} localRoutes - Each local route should include the optional
-   *   `destinationAccount` parameter.
+   *   `destinationAccount` parameter. A RouteData may also carry the pair's pricing policy:
+   *   `fee` (see Route#applyFee) and `spread` (see Route#applySpread). Unlike a
+   *   peer's advertisement, it may leave out `source_account` (see Route.fromLocalData).
    */
   addLocalRoutes (_localRoutes) {
-    const localRoutes = _localRoutes.map((route) => Route.fromData(route, this.currentEpoch))
+    const localRoutes = _localRoutes.map((route) =>
+      applyPricing(Route.fromLocalData(route, this.currentEpoch), route))
     for (const localRoute of localRoutes) {
       localRoute.isLocal = true
+      this._checkAssets(localRoute)
+      this._assignAssets(localRoute)
       const table = this.sources.get(localRoute.sourceLedger) ||
-        this.sources.insert(localRoute.sourceLedger, new RoutingTable())
+        this.sources.insert(localRoute.sourceLedger, new RoutingTable({ matching: this.matching }))
       table.addRoute(localRoute.destinationLedger, PAIR, localRoute)
 
       this.localAccounts[localRoute.sourceLedger] = localRoute.sourceAccount
@@ -65,9 +136,48 @@ class RoutingTables {
    *
    * @param {Route|RouteData} _route from ledger B→C
    * @returns {Boolean} whether or not a new route was added
+   * @throws {InvalidRouteError} if the RouteData is invalid or badly signed, or
+   *   the route's assets differ from the registered ones or those of the local
+   *   pairs it would join, before the tables are changed (see Route.fromData)
    */
   addRoute (_route, noExpire) {
-    const route = Route.fromData(_route, this.currentEpoch)
+    // Check the signature before repairing the curve changes the data.
+    if (this.verifier && !(_route instanceof Route)) this.verifier.verify(_route)
+    // Leave anything that isn't an object to Route.fromData to reject.
+    if (this.repairCurves && _route && typeof _route === 'object') {
+      _route = repairRouteData(_route)
+      if (!_route) return false
+    }
+    let route = Route.fromData(_route, this.currentEpoch)
+    this._checkAssets(route)
+    this._assignAssets(route)
+    if (this._isLoop(route)) {
+      debug('ignoring route from', route.sourceAccount, 'that already passes through this connector:',
+        route.connectors.join(', '))
+      return false
+    }
+    if (this.importPolicy && !(_route instanceof Route)) {
+      route = this.importPolicy(route)
+      if (!route) {
+        debug('import policy rejected route from', _route.source_account, 'to', _route.destination_ledger)
+        return false
+      }
+    }
+    if (this.matching === 'segment' && !PrefixMap.isValidPrefix(route.targetPrefix)) {
+      debug('ignoring route to invalid prefix:', route.targetPrefix)
+      return false
+    }
+    return this._addRoute(route, noExpire)
+  }
+
+  /**
+   * Like `addRoute`, for a route that has already been checked.
+   *
+   * @param {Route} route
+   * @param {Boolean} [noExpire]
+   * @returns {Boolean} whether or not a new route was added
+   */
+  _addRoute (route, noExpire) {
     let added = false
     this.eachSource((tableFromA, ledgerA) => {
       added = this._addRouteFromSource(tableFromA, ledgerA, route, noExpire) || added
@@ -80,6 +190,60 @@ class RoutingTables {
     return added
   }
 
+  /**
+   * @param {Route} route
+   * @returns {Boolean} whether the route already passes through this connector,
+   *   as `connectorId` or any of our local accounts
+   */
+  _isLoop (route) {
+    return route.connectors.some((connector) => connector === this.connectorId ||
+      Object.keys(this.localAccounts).some((ledger) => this.localAccounts[ledger] === connector))
+  }
+
+  /**
+   * Check the assets a route advertises against the registered ones, and its
+   * source asset against the destination assets of the local pairs it would be
+   * joined onto, so that `Route#join` can't fail partway through an update.
+   *
+   * @param {Route} route
+   * @throws {InvalidRouteError} if an asset differs
+   */
+  _checkAssets (route) {
+    const fail = (field, asset, message) => {
+      throw new InvalidRouteError(field, 'is ' + JSON.stringify(asset) + ' but ' + message,
+        route.sourceAccount)
+    }
+    const sourceAsset = this.assets[route.sourceLedger]
+    if (differentAssets(route.sourceAsset, sourceAsset)) {
+      fail('source_asset', route.sourceAsset,
+        'ledger ' + route.sourceLedger + ' has ' + JSON.stringify(sourceAsset))
+    }
+    const destinationAsset = this.assets[route.destinationLedger]
+    if (differentAssets(route.destinationAsset, destinationAsset)) {
+      fail('destination_asset', route.destinationAsset,
+        'ledger ' + route.destinationLedger + ' has ' + JSON.stringify(destinationAsset))
+    }
+    this.eachSource((tableFromA, ledgerA) => {
+      const pair = this.getLocalPairRoute(ledgerA, route.sourceLedger)
+      if (pair && differentAssets(route.sourceAsset || sourceAsset, pair.destinationAsset)) {
+        fail('source_asset', route.sourceAsset || sourceAsset, 'the local pair from ' + ledgerA +
+          ' has ' + JSON.stringify(pair.destinationAsset))
+      }
+    })
+  }
+
+  /**
+   * Fill in a route's unknown assets from the registered ones.
+   *
+   * @param {Route} route
+   * @returns {Route} route
+   */
+  _assignAssets (route) {
+    route.sourceAsset = route.sourceAsset || this.assets[route.sourceLedger]
+    route.destinationAsset = route.destinationAsset || this.assets[route.destinationLedger]
+    return route
+  }
+
   _addRouteFromSource (tableFromA, ledgerA, routeFromBToC, noExpire) {
     const ledgerB = routeFromBToC.sourceLedger
     const ledgerC = routeFromBToC.targetPrefix
@@ -96,7 +260,12 @@ class RoutingTables {
       return
     }
 
-    // Make sure the routes can be joined.
+    // Make sure the routes can be joined. Routes built from local pairs with
+    // different assets are skipped; addRoute has already checked the others.
+    if (differentAssets(routeFromAToB.destinationAsset, routeFromBToC.sourceAsset)) {
+      debug('ignoring route from', ledgerA, 'to', ledgerC, 'through local pairs with different assets')
+      return
+    }
     const expiryDuration = noExpire ? null : this.expiryDuration
     const routeFromAToC = routeFromAToB.join(routeFromBToC, expiryDuration, this.currentEpoch)
     if (!routeFromAToC) {
@@ -110,7 +279,7 @@ class RoutingTables {
     tableFromA.addRoute(ledgerC, connectorFromBToC, routeFromAToC)
 
     // Given pairs A↔B,B→C; on addRoute(C→D) create A→D after creating B→D.
-    if (added) added = this.addRoute(routeFromAToC) || added
+    if (added) added = this._addRoute(this._assignAssets(routeFromAToC)) || added
     return added
   }
 
@@ -138,11 +307,15 @@ class RoutingTables {
   }
 
   bumpConnector (connectorAccount, holdDownTime) {
+    const bumpList = []
     this.eachRoute((route, ledgerA, ledgerB, nextHop) => {
-      if (connectorAccount === nextHop) {
-        debug('bumping route ledgerA:', ledgerA, ' ledgerB:', ledgerB, ' nextHop:', nextHop)
-        route.bumpExpiration(holdDownTime)
-      }
+      if (connectorAccount === nextHop) bumpList.push({ route, ledgerA, ledgerB, nextHop })
+    })
+    // Replace the routes rather than bumping them in place, since snapshots may share them.
+    bumpList.forEach((bump) => {
+      debug('bumping route ledgerA:', bump.ledgerA, ' ledgerB:', bump.ledgerB, ' nextHop:', bump.nextHop)
+      this.sources.get(bump.ledgerA).addRoute(bump.ledgerB, bump.nextHop,
+        bump.route.withExpiration(holdDownTime))
     })
   }
 
@@ -176,6 +349,70 @@ class RoutingTables {
     return lostLedgerLinks
   }
 
+  /**
+   * A consistent, read-only view of the tables as they are now, for reads such
+   * as `toJSON` and quoting that shouldn't see updates made while they run.
+   * Taking a snapshot doesn't copy the routes; the tables copy what they change
+   * afterwards instead. Adding or removing routes on a snapshot throws.
+   *
+   * @returns {RoutingTables}
+   */
+  snapshot () {
+    const sources = new PrefixMap({ matching: this.matching })
+    this.sources.each((table, ledger) => sources.insert(ledger, table.snapshot()))
+    const snapshot = Object.create(RoutingTables.prototype)
+    return Object.assign(snapshot, this, {
+      sources: sources.snapshot(),
+      localAccounts: Object.assign({}, this.localAccounts),
+      assets: Object.assign({}, this.assets)
+    })
+  }
+
+  /**
+   * Compare two routing states, e.g. before and after a config reload (take a
+   * `snapshot` first) or ours against a peer's.
+   *
+   * Routes are compared by curve, paths, connectors, attributes and minimum
+   * message window, so bumping a route's expiry doesn't change it. Local pair routes
+   * are reported with the local account on their destination ledger as the
+   * next hop.
+   *
+   * @param {RoutingTables} a - the state before
+   * @param {RoutingTables} b - the state after
+   * @returns {Object} `{sources, destinations}`. `sources` has the source ledgers
+   *   that were `added` and `removed`. `destinations` has an entry for each
+   *   `{sourceLedger, destination}` whose routes differ, listing the next hops
+   *   that were added (`addedHops`), removed (`removedHops`) and whose routes
+   *   changed (`changedHops`, each `{nextHop, before, after, curveChanged}`).
+   */
+  static diff (a, b) {
+    const sourcesDiff = PrefixMap.diff(a.sources, b.sources, () => true)
+    const result = {
+      sources: {
+        added: sourcesDiff.added.map((entry) => entry.prefix),
+        removed: sourcesDiff.removed.map((entry) => entry.prefix)
+      },
+      destinations: []
+    }
+    const sourceLedgers = a.sources.keys().concat(sourcesDiff.added.map((entry) => entry.prefix))
+    for (const sourceLedger of sourceLedgers) {
+      const tableA = a.sources.get(sourceLedger)
+      const tableB = b.sources.get(sourceLedger)
+      const destinationsDiff = PrefixMap.diff(
+        tableA ? tableA.destinations : new PrefixMap(),
+        tableB ? tableB.destinations : new PrefixMap())
+      const changes = destinationsDiff.changed
+        .concat(destinationsDiff.added.map((entry) => ({ prefix: entry.prefix, after: entry.item })))
+        .concat(destinationsDiff.removed.map((entry) => ({ prefix: entry.prefix, before: entry.item })))
+      for (const change of changes) {
+        const hops = diffHops(a, change.before || new Map(), b, change.after || new Map())
+        if (!hops.addedHops.length && !hops.removedHops.length && !hops.changedHops.length) continue
+        result.destinations.push(Object.assign({ sourceLedger, destination: change.prefix }, hops))
+      }
+    }
+    return result
+  }
+
   /**
    * @param {function(tableFromA, ledgerA)} fn
    */
@@ -196,19 +433,34 @@ class RoutingTables {
   }
 
   /**
-   * @param {Integer} maxPoints
+   * @param {Integer|Object} maxPoints - the point budget for each curve, or
+   *   a tolerance (see LiquidityCurve#simplifyWithin) so that each curve keeps
+   *   only as many points as it needs
+   * @param {Object} [options]
+   * @param {Boolean} [options.conservative] - never advertise a curve above the real one (see LiquidityCurve#simplify)
    * @returns {Routes}
    */
-  toJSON (maxPoints) {
-    if (typeof maxPoints !== 'number' || maxPoints <= 0) {
+  toJSON (maxPoints, options) {
+    const isTolerance = typeof maxPoints === 'object' && maxPoints !== null
+    if (!isTolerance && (typeof maxPoints !== 'number' || maxPoints <= 0)) {
       throw new TypeError('RoutingTables#toJSON maxPoints must be a positive number')
     }
     const routes = []
     this.eachSource((table, sourceLedger) => {
       table.destinations.each((routesByConnector, destinationLedger) => {
-        const combinedRoute = combineRoutesByConnector(routesByConnector, maxPoints)
+        let totalRoute = combineRoutesByConnector(routesByConnector, this.combineStrategy)
+        totalRoute = totalRoute.withAttributes(routeAttributes.toTransitive(totalRoute.attributes))
+        if (this.exportPolicy) {
+          totalRoute = this.exportPolicy(totalRoute)
+          if (!totalRoute) return
+        }
+        const combinedRoute = isTolerance
+          ? totalRoute.simplifyWithin(maxPoints, options)
+          : totalRoute.simplify(maxPoints, options)
         const combinedRouteData = combinedRoute.toJSON()
         combinedRouteData.source_account = this.localAccounts[combinedRoute.sourceLedger]
+        const connectorId = this.connectorId || combinedRouteData.source_account
+        if (connectorId) combinedRouteData.connectors = [ connectorId ].concat(combinedRoute.connectors)
         routes.push(combinedRouteData)
       })
     })
@@ -280,21 +532,160 @@ class RoutingTables {
       table.findBestHopForDestinationAmount(finalAddress, finalAmount))
   }
 
+  /**
+   * Plot the curves of every next hop from `sourceAddress` to `finalAddress`
+   * on one ASCII chart, for debugging.
+   *
+   * @param {IlpAddress} sourceAddress
+   * @param {IlpAddress} finalAddress
+   * @param {Object} [options] - see LiquidityCurve#toAsciiChart
+   * @returns {String|undefined}
+   */
+  toAsciiChart (sourceAddress, finalAddress, options) {
+    const series = this._getCompetingCurves(sourceAddress, finalAddress)
+    return series && chart.toAsciiChart(series, options)
+  }
+
+  /**
+   * Plot the curves of every next hop from `sourceAddress` to `finalAddress`
+   * on one SVG chart, for debugging.
+   *
+   * @param {IlpAddress} sourceAddress
+   * @param {IlpAddress} finalAddress
+   * @param {Object} [options] - see LiquidityCurve#toSVG
+   * @returns {String|undefined}
+   */
+  toSVG (sourceAddress, finalAddress, options) {
+    const series = this._getCompetingCurves(sourceAddress, finalAddress)
+    return series && chart.toSVG(series, options)
+  }
+
+  /**
+   * @returns {Object[]|undefined} `{label, curve}` for each next hop with a curve
+   */
+  _getCompetingCurves (sourceAddress, finalAddress) {
+    const table = this.sources.resolve(sourceAddress)
+    const routes = table && table.destinations.resolve(finalAddress)
+    if (!routes) return undefined
+    const series = []
+    routes.forEach((route, nextHop) => {
+      if (!route.curve) return
+      series.push({ label: this._nextHopName(nextHop, route), curve: route.curve })
+    })
+    return series
+  }
+
   _rewriteLocalHop (hop) {
-    if (hop && hop.bestHop === PAIR) {
-      hop.bestHop = this.localAccounts[hop.bestRoute.destinationLedger]
-    }
+    if (hop) hop.bestHop = this._nextHopName(hop.bestHop, hop.bestRoute)
     return hop
   }
+
+  /**
+   * @param {String} nextHop
+   * @param {Route} route - the route through `nextHop`
+   * @returns {String} `nextHop`, or the local account for a local pair
+   */
+  _nextHopName (nextHop, route) {
+    return nextHop === PAIR ? this.localAccounts[route.destinationLedger] : nextHop
+  }
+}
+
+/**
+ * @param {Route} route
+ * @param {RouteData|Route} data - the data `route` was created from
+ * @returns {Route}
+ */
+function applyPricing (route, data) {
+  if (data instanceof Route) return route
+  let pricedRoute = route
+  if (data.fee) pricedRoute = pricedRoute.applyFee(data.fee)
+  if (data.spread) pricedRoute = pricedRoute.applySpread(data.spread)
+  return pricedRoute
+}
+
+/**
+ * @param {RoutingTables} tablesA
+ * @param {Map} routesA - `{ nextHop ⇒ Route }` in `tablesA`
+ * @param {RoutingTables} tablesB
+ * @param {Map} routesB - `{ nextHop ⇒ Route }` in `tablesB`
+ * @returns {Object} `{addedHops, removedHops, changedHops}`
+ */
+function diffHops (tablesA, routesA, tablesB, routesB) {
+  const addedHops = []
+  const removedHops = []
+  const changedHops = []
+  routesA.forEach((routeA, nextHop) => {
+    const routeB = routesB.get(nextHop)
+    if (!routeB) {
+      removedHops.push(tablesA._nextHopName(nextHop, routeA))
+      return
+    }
+    const curveChanged = !sameCurve(routeA.curve, routeB.curve)
+    if (curveChanged || !sameRouteInfo(routeA, routeB)) {
+      changedHops.push({
+        nextHop: tablesB._nextHopName(nextHop, routeB),
+        before: routeA,
+        after: routeB,
+        curveChanged
+      })
+    }
+  })
+  routesB.forEach((routeB, nextHop) => {
+    if (!routesA.has(nextHop)) addedHops.push(tablesB._nextHopName(nextHop, routeB))
+  })
+  return { addedHops, removedHops, changedHops }
+}
+
+function sameCurve (curveA, curveB) {
+  if (curveA === curveB) return true
+  if (!curveA || !curveB) return false
+  return curveA.toBuffer().equals(curveB.toBuffer())
+}
+
+/**
+ * @param {Object} [assetA] - `{code, scale}`
+ * @param {Object} [assetB] - `{code, scale}`
+ * @returns {Boolean} whether both assets are known and differ
+ */
+function differentAssets (assetA, assetB) {
+  return !!assetA && !!assetB && (assetA.code !== assetB.code || assetA.scale !== assetB.scale)
 }
 
-function combineRoutesByConnector (routesByConnector, maxPoints) {
+function sameRouteInfo (routeA, routeB) {
+  return routeA.minMessageWindow === routeB.minMessageWindow &&
+    JSON.stringify(routeA.paths) === JSON.stringify(routeB.paths) &&
+    JSON.stringify(routeA.attributes) === JSON.stringify(routeB.attributes) &&
+    JSON.stringify(routeA.connectors) === JSON.stringify(routeB.connectors)
+}
+
+function combineRoutesByConnector (routesByConnector, strategy) {
   const routes = routesByConnector.values()
   let totalRoute = routes.next().value
   for (const subRoute of routes) {
-    totalRoute = totalRoute.combine(subRoute)
+    totalRoute = totalRoute.combine(subRoute, strategy)
+  }
+  return totalRoute
+}
+
+/**
+ * @param {RouteData|Route} data
+ * @returns {RouteData|Route|undefined} `data` with a repaired curve, or
+ *   undefined if the curve can't be decoded
+ */
+function repairRouteData (data) {
+  if (data instanceof Route || !data.points) return data
+  let result
+  try {
+    result = LiquidityCurve.repair(data.points)
+  } catch (err) {
+    debug('ignoring route from', data.source_account, 'with invalid curve:', err.message)
+    return
+  }
+  if (result.violations.length) {
+    debug('repaired curve from', data.source_account, ':',
+      result.violations.map((violation) => violation.message).join('; '))
   }
-  return totalRoute.simplify(maxPoints)
+  return Object.assign({}, data, { points: result.curve })
 }
 
 module.exports = RoutingTables
@@ -1,6 +1,7 @@
 'use strict'
 
 const assert = require('assert')
+const BigNumber = require('bignumber.js')
 const LiquidityCurve = require('../src/lib/liquidity-curve')
 
 describe('LiquidityCurve', function () {
@@ -41,8 +42,31 @@ describe('LiquidityCurve', function () {
         const curve = new LiquidityCurve(Buffer.from([0]))
       }, /Invalid LiquidityCurve buffer/)
     })
+
+    it('throws an error if the buffer has an unknown version', function () {
+      assert.throws(() => {
+        const curve = new LiquidityCurve(Buffer.from([2, 0]))
+      }, /InvalidLiquidityCurveError: Invalid LiquidityCurve buffer: length 2 is not a multiple of 16 and version 2 is unsupported/)
+    })
+
+    it('throws an error if a varint is truncated', function () {
+      assert.throws(() => {
+        const curve = new LiquidityCurve(Buffer.from([1, 1, 0x80, 0x80]))
+      }, /InvalidLiquidityCurveError: Invalid LiquidityCurve buffer: truncated varint/)
+    })
+
+    it('throws an error if there are trailing bytes', function () {
+      assert.throws(() => {
+        const curve = new LiquidityCurve(Buffer.from([1, 1, 0, 0, 0]))
+      }, /InvalidLiquidityCurveError: Invalid LiquidityCurve buffer: unexpected trailing bytes/)
+    })
     /* eslint-enable no-unused-vars */
 
+    it('deserializes the varint format', function () {
+      const curve = new LiquidityCurve(Buffer.from([ 1, 2, 0, 0, 10, 20 ]))
+      assert.deepEqual(curve.getPoints(), [ [0, 0], [10, 20] ])
+    })
+
     it('deserializes an empty buffer to an empty curve', function () {
       const curve = new LiquidityCurve(Buffer.from([]))
       assert.deepEqual(curve.getPoints(), [])
@@ -63,6 +87,61 @@ describe('LiquidityCurve', function () {
     })
   })
 
+  describe('validate', function () {
+    it('returns nothing for a valid curve', function () {
+      assert.deepEqual(LiquidityCurve.validate([ [0, 0], [10, 20] ]), [])
+      assert.deepEqual(LiquidityCurve.validate(new LiquidityCurve([ [0, 0], [10, 20] ]).toBuffer()), [])
+    })
+
+    it('reports every violation', function () {
+      assert.deepEqual(LiquidityCurve.validate([
+        [0, 0], [100, 100], [10, 10], [200, 50], [-1, 3], ['x', 4], [5], [300, 300]
+      ]), [
+        { kind: 'xNotIncreasing', index: 2, message: 'Point 2 x-coordinate must be greater than 100: 10' },
+        { kind: 'yDecreasing', index: 3, message: 'Point 3 y-coordinate must not be less than 100: 50' },
+        { kind: 'negative', index: 4, message: 'Point 4: Cannot parse negative value: -1' },
+        { kind: 'invalidValue', index: 5, message: 'Point 5: new BigNumber() not a number: x' },
+        { kind: 'invalidValue', index: 6, message: 'Point 6 must be an [x, y] pair' }
+      ])
+    })
+
+    it('reports an empty curve', function () {
+      assert.deepEqual(LiquidityCurve.validate([]), [
+        { kind: 'empty', index: undefined, message: 'Curve has no points' }
+      ])
+    })
+
+    it('reports a buffer with the wrong length', function () {
+      assert.deepEqual(LiquidityCurve.validate(Buffer.from([ 0, 1, 2 ]).toString('base64')), [ {
+        kind: 'invalidBuffer',
+        index: undefined,
+        message: 'Invalid LiquidityCurve buffer: length 3 is not a multiple of 16 and version 0 is unsupported'
+      } ])
+    })
+
+    it('reports violations in a buffer', function () {
+      const buffer = Buffer.concat([
+        new LiquidityCurve([ [0, 0], [10, 20] ]).toBuffer(),
+        new LiquidityCurve([ [5, 30] ]).toBuffer()
+      ])
+      assert.deepEqual(LiquidityCurve.validate(buffer).map((violation) => violation.kind), [ 'xNotIncreasing' ])
+    })
+  })
+
+  describe('repair', function () {
+    it('drops the offending points', function () {
+      const result = LiquidityCurve.repair([ [0, 0], [100, 100], [10, 10], [200, 150], [300, 140] ])
+      assert.deepStrictEqual(result.curve.getPoints(), [ [0, 0], [100, 100], [200, 150] ])
+      assert.deepEqual(result.violations.map((violation) => violation.index), [ 2, 4 ])
+    })
+
+    it('throws InvalidLiquidityCurveError if the buffer can\'t be decoded', function () {
+      assert.throws(() => {
+        LiquidityCurve.repair(Buffer.from([ 0, 1, 2 ]))
+      }, /InvalidLiquidityCurveError: Invalid LiquidityCurve buffer: length 3/)
+    })
+  })
+
   describe('getPoints', function () {
     it('returns the points', function () {
       const points = [ [1, 2], [3, 4] ]
@@ -71,6 +150,190 @@ describe('LiquidityCurve', function () {
     })
   })
 
+  describe('fromRate', function () {
+    it('builds a straight curve between the source limits', function () {
+      const curve = LiquidityCurve.fromRate('0.5', { maxSource: 1001 })
+      assert.deepEqual(curve.getPoints(), [ [0, 0], [1001, 500] ])
+    })
+
+    it('starts the curve at minSource', function () {
+      const curve = LiquidityCurve.fromRate(1.5, { minSource: 10, maxSource: 100 })
+      assert.deepEqual(curve.getPoints(), [ [10, 15], [100, 150] ])
+      assert.equal(curve.amountAt(9).toString(), '0')
+    })
+
+    it('shifts the rate by the scale', function () {
+      const curve = LiquidityCurve.fromRate(2, { maxSource: 100, scale: 2 })
+      assert.deepEqual(curve.getPoints(), [ [0, 0], [100, 20000] ])
+    })
+
+    it('throws InvalidLiquidityCurveError if the rate is not positive', function () {
+      assert.throws(() => {
+        LiquidityCurve.fromRate(0, { maxSource: 100 })
+      }, /InvalidLiquidityCurveError: Rate must be a positive number: 0/)
+    })
+
+    it('throws InvalidLiquidityCurveError if maxSource is missing', function () {
+      assert.throws(() => {
+        LiquidityCurve.fromRate(1, {})
+      }, /InvalidLiquidityCurveError: maxSource must be a non-negative integer: undefined/)
+    })
+
+    it('throws InvalidLiquidityCurveError if maxSource is not greater than minSource', function () {
+      assert.throws(() => {
+        LiquidityCurve.fromRate(1, { minSource: 100, maxSource: 100 })
+      }, /InvalidLiquidityCurveError: maxSource must be greater than minSource: 100 <= 100/)
+    })
+  })
+
+  describe('fromOrderBook', function () {
+    it('builds a concave curve from the levels', function () {
+      const curve = LiquidityCurve.fromOrderBook([
+        { price: '1.5', size: 100 },
+        { price: 1.2, size: '50' },
+        { price: 0.333, size: 10 }
+      ])
+      assert.deepEqual(curve.getPoints(), [ [0, 0], [100, 150], [150, 210], [160, 213] ])
+    })
+
+    it('rounds the running total rather than each level', function () {
+      const curve = LiquidityCurve.fromOrderBook([
+        { price: 0.5, size: 1 },
+        { price: 0.5, size: 1 }
+      ])
+      assert.deepEqual(curve.getPoints(), [ [0, 0], [1, 0], [2, 1] ])
+    })
+
+    it('throws InvalidLiquidityCurveError if there are no levels', function () {
+      assert.throws(() => {
+        LiquidityCurve.fromOrderBook([])
+      }, /InvalidLiquidityCurveError: Order book must have at least one level/)
+    })
+
+    it('throws InvalidLiquidityCurveError if a level has a better price than the one before', function () {
+      assert.throws(() => {
+        LiquidityCurve.fromOrderBook([ { price: 1, size: 10 }, { price: 2, size: 10 } ])
+      }, /InvalidLiquidityCurveError: Order book level 1 price must not be better than the previous level: 2 > 1/)
+    })
+
+    it('throws InvalidLiquidityCurveError if a level has no size', function () {
+      assert.throws(() => {
+        LiquidityCurve.fromOrderBook([ { price: 1, size: 0 } ])
+      }, /InvalidLiquidityCurveError: Order book level 0 size must be positive/)
+    })
+
+    it('throws InvalidLiquidityCurveError if a size is fractional', function () {
+      assert.throws(() => {
+        LiquidityCurve.fromOrderBook([ { price: 1, size: 1.5 } ])
+      }, /InvalidLiquidityCurveError: Order book level 0 size must be a non-negative integer: 1.5/)
+    })
+  })
+
+  describe('allocate', function () {
+    const curveA = new LiquidityCurve([ [0, 0], [100, 100], [200, 150] ])
+    const curveB = new LiquidityCurve([ [0, 0], [100, 90], [300, 190] ])
+
+    it('fills the steepest segments first', function () {
+      const result = LiquidityCurve.allocate([ curveA, curveB ], 200)
+      assert.deepEqual(result.amounts.map(String), [ '100', '100' ])
+      assert.equal(result.value.toString(), '190')
+    })
+
+    it('sends everything through one curve if that is best', function () {
+      const result = LiquidityCurve.allocate([ curveA, curveB ], 50)
+      assert.deepEqual(result.amounts.map(String), [ '50', '0' ])
+      assert.equal(result.value.toString(), '50')
+    })
+
+    it('is never worse than the best single curve', function () {
+      // The hull of curveC skips its minimum amount.
+      const curveC = new LiquidityCurve([ [50, 0], [60, 100] ])
+      const result = LiquidityCurve.allocate([ curveA, curveC ], 60)
+      assert.deepEqual(result.amounts.map(String), [ '0', '60' ])
+      assert.equal(result.value.toString(), '100')
+    })
+
+    it('doesn\'t send an amount below a curve\'s minimum', function () {
+      const curveC = new LiquidityCurve([ [19, 1], [20, 40] ])
+      const curveD = new LiquidityCurve([ [5, 5], [18, 47] ])
+      const result = LiquidityCurve.allocate([ curveC, curveD ], 34)
+      assert.deepEqual(result.amounts.map(String), [ '20', '14' ])
+      assert.equal(result.value.toString(), '74')
+    })
+
+    it('doesn\'t send an amount below a curve\'s minimum when there are too many curves to search', function () {
+      const curveC = new LiquidityCurve([ [19, 1], [20, 40] ])
+      const curveD = new LiquidityCurve([ [5, 5], [18, 47] ])
+      // These are steeper than curveC and curveD, so they're filled first.
+      const many = []
+      for (let i = 0; i < 6; i++) many.push(new LiquidityCurve(concavePoints(12, i)))
+      const curves = [ curveC, curveD ].concat(many)
+      const result = LiquidityCurve.allocate(curves, 6 * 120 + 15 + 34)
+      result.amounts.forEach((amount, i) => {
+        assert.ok(amount.isZero() || curves[i].amountAt(amount).gt(0), 'curve ' + i + ' gets ' + amount)
+      })
+    })
+
+    it('fills the curves\' hulls when there are too many combinations to search', function () {
+      const curveE = new LiquidityCurve([ [0, 0], [100, 10], [110, 1200] ])
+      const curves = [ curveE ]
+      for (let i = 0; i < 5; i++) curves.push(new LiquidityCurve(concavePoints(12, i)))
+      const result = LiquidityCurve.allocate(curves, 280)
+      // Searching every combination would find 2776 with [ 110, 57, 51, 62, 0, 0 ].
+      assert.deepEqual(result.amounts.map(String), [ '110', '50', '51', '52', '17', '0' ])
+      assert.equal(result.value.toString(), '2762')
+      const value = result.amounts.reduce((sum, amount, i) => sum + +curves[i].amountAt(amount), 0)
+      assert.equal(value, 2762)
+      const single = curves.reduce((a, b) => a.combine(b)).amountAt(280)
+      assert.ok(result.value.gte(single))
+    })
+
+    it('uses at most maxParts curves', function () {
+      const result = LiquidityCurve.allocate([ curveA, curveB ], 200, 1)
+      assert.deepEqual(result.amounts.map(String), [ '200', '0' ])
+      assert.equal(result.value.toString(), '150')
+    })
+
+    it('leaves the amount beyond the curves\' liquidity unallocated', function () {
+      const result = LiquidityCurve.allocate([ curveA, curveB ], 1000)
+      assert.deepEqual(result.amounts.map(String), [ '200', '300' ])
+      assert.equal(result.value.toString(), '340')
+    })
+
+    it('throws TypeError if maxParts is not a positive integer', function () {
+      assert.throws(() => {
+        LiquidityCurve.allocate([ curveA, curveB ], 200, 0)
+      }, /TypeError: LiquidityCurve.allocate maxParts must be a positive integer/)
+    })
+  })
+
+  describe('allocateReverse', function () {
+    const curveA = new LiquidityCurve([ [0, 0], [100, 100], [200, 150] ])
+    const curveB = new LiquidityCurve([ [0, 0], [100, 90], [300, 190] ])
+
+    it('fills the steepest segments first', function () {
+      const result = LiquidityCurve.allocateReverse([ curveA, curveB ], 145)
+      assert.deepEqual(result.amounts.map(String), [ '100', '50' ])
+      assert.equal(result.cost.toString(), '150')
+    })
+
+    it('rounds the partial amount up', function () {
+      const result = LiquidityCurve.allocateReverse([ curveA, curveB ], 146)
+      assert.deepEqual(result.amounts.map(String), [ '100', '52' ])
+      assert.equal(result.cost.toString(), '152')
+    })
+
+    it('uses at most maxParts curves', function () {
+      const result = LiquidityCurve.allocateReverse([ curveA, curveB ], 145, 1)
+      assert.deepEqual(result.amounts.map(String), [ '190', '0' ])
+      assert.equal(result.cost.toString(), '190')
+    })
+
+    it('returns undefined if the curves can\'t deliver the amount', function () {
+      assert.strictEqual(LiquidityCurve.allocateReverse([ curveA, curveB ], 341), undefined)
+    })
+  })
+
   describe('amountAt', function () {
     const curve = new LiquidityCurve([[10, 20], [100, 200]])
 
@@ -84,6 +347,11 @@ describe('LiquidityCurve', function () {
       assert.equal(curve.amountAt(1000), 200)
     })
 
+    it('rounds "x" down', function () {
+      assert.equal(curve.amountAt('11.9'), 22)
+      assert.equal(curve.amountAt(new BigNumber('11.9')), 22)
+    })
+
     it('returns the linear interpolation of intermediate "x" values', function () {
       assert.equal(curve.amountAt(10), 20)
       assert.equal(curve.amountAt(11), 22)
@@ -95,6 +363,14 @@ describe('LiquidityCurve', function () {
       const curve = new LiquidityCurve([[0, 0], [50, 100], [100, 1000]])
       assert.equal(curve.amountAt(50), 100)
     })
+
+    it('finds the right segment on a curve with many points', function () {
+      const curve = new LiquidityCurve(convexPoints(1000))
+      for (let x = 0; x < 9990; x += 7) {
+        const i = Math.floor(x / 10)
+        assert.equal(curve.amountAt(x).toNumber(), i * i + Math.floor((2 * i + 1) * (x % 10) / 10))
+      }
+    })
   })
 
   describe('amountReverse', function () {
@@ -116,6 +392,182 @@ describe('LiquidityCurve', function () {
       assert.equal(curve.amountReverse(110), 55)
       assert.equal(curve.amountReverse(200), 100)
     })
+
+    it('rounds the result up', function () {
+      const curve = new LiquidityCurve([[0, 0], [3, 2]])
+      assert.equal(curve.amountReverse(1), 2)
+    })
+
+    it('finds the right segment on a curve with many points', function () {
+      const curve = new LiquidityCurve(convexPoints(1000))
+      for (let y = 1; y < 998001; y += 997) {
+        const i = Math.ceil(Math.sqrt(y)) - 1
+        assert.equal(curve.amountReverse(y).toNumber(), 10 * i + Math.ceil(10 * (y - i * i) / (2 * i + 1)))
+      }
+    })
+  })
+
+  describe('rescale', function () {
+    it('scales both axes', function () {
+      const curve = new LiquidityCurve([ [0, 0], [10, 20], [30, 25] ])
+      assert.deepStrictEqual(curve.rescale(2, 1).getPoints(),
+        [ [0, 0], [1000, 200], [3000, 250] ])
+    })
+
+    it('rounds source amounts up and destination amounts down', function () {
+      const curve = new LiquidityCurve([ [0, 0], [15, 29], [31, 45] ])
+      assert.deepStrictEqual(curve.rescale(-1, -1).getPoints(),
+        [ [0, 0], [2, 2], [4, 4] ])
+    })
+
+    it('keeps the lower point when rounding merges two', function () {
+      const curve = new LiquidityCurve([ [0, 0], [11, 10], [19, 90] ])
+      assert.deepStrictEqual(curve.rescale(-1, 0).getPoints(),
+        [ [0, 0], [2, 10] ])
+    })
+
+    it('throws TypeError if a shift is not an integer', function () {
+      const curve = new LiquidityCurve([ [0, 0], [10, 20] ])
+      assert.throws(() => curve.rescale(0.5, 0), /TypeError: LiquidityCurve#rescale shifts must be integers/)
+    })
+  })
+
+  describe('rateAt', function () {
+    const curve = new LiquidityCurve([ [0, 0], [3, 1], [9, 7] ])
+
+    it('returns the amount delivered per unit sent', function () {
+      assert.equal(curve.rateAt(6).toString(), '0.66666666666666666667')
+      assert.equal(curve.rateAt(9).toString(), '0.77777777777777777778')
+    })
+
+    it('uses the rounded-down amount', function () {
+      assert.equal(curve.rateAt(2).toString(), '0')
+    })
+
+    it('falls as the amount passes the end of the curve', function () {
+      assert.equal(curve.rateAt(14).toString(), '0.5')
+    })
+
+    it('throws TypeError for a zero amount', function () {
+      assert.throws(() => {
+        curve.rateAt(0)
+      }, /TypeError: LiquidityCurve#rateAt amount must be positive/)
+    })
+  })
+
+  describe('marginalRateAt', function () {
+    const curve = new LiquidityCurve([ [10, 0], [13, 1], [19, 7] ])
+
+    it('returns the slope of the segment containing the amount', function () {
+      assert.equal(curve.marginalRateAt(11).toString(), '0.33333333333333333333')
+      assert.equal(curve.marginalRateAt(15).toString(), '1')
+    })
+
+    it('returns the slope of the segment starting at the amount', function () {
+      assert.equal(curve.marginalRateAt(10).toString(), '0.33333333333333333333')
+      assert.equal(curve.marginalRateAt(13).toString(), '1')
+    })
+
+    it('returns 0 outside of the domain', function () {
+      assert.equal(curve.marginalRateAt(9).toString(), '0')
+      assert.equal(curve.marginalRateAt(19).toString(), '0')
+    })
+  })
+
+  describe('liquidity', function () {
+    const curve = new LiquidityCurve([ [10, 5], [13, 6], [19, 12] ])
+
+    it('returns the domain', function () {
+      assert.equal(curve.minSourceAmount().toString(), '10')
+      assert.equal(curve.maxSourceAmount().toString(), '19')
+      assert.deepEqual(curve.domain().map(String), [ '10', '19' ])
+    })
+
+    it('returns the range', function () {
+      assert.equal(curve.maxDestinationAmount().toString(), '12')
+      assert.deepEqual(curve.range().map(String), [ '5', '12' ])
+    })
+
+    it('keeps precision beyond JavaScript numbers', function () {
+      const bigCurve = new LiquidityCurve([ [0, 0], ['18446744073709551615', '18446744073709551615'] ])
+      assert.equal(bigCurve.maxSourceAmount().toString(), '18446744073709551615')
+      assert.equal(bigCurve.maxDestinationAmount().toString(), '18446744073709551615')
+    })
+
+    it('is zero for an empty curve', function () {
+      const emptyCurve = new LiquidityCurve([])
+      assert.deepEqual(emptyCurve.domain().map(String), [ '0', '0' ])
+      assert.deepEqual(emptyCurve.range().map(String), [ '0', '0' ])
+    })
+  })
+
+  describe('compare', function () {
+    const toStrings = (result) => ({
+      intervals: result.intervals.map((interval) => [
+        interval.from.toString(), interval.to.toString(), interval.winner, interval.area.toString()
+      ]),
+      crossovers: result.crossovers.map((point) => point.map(String)),
+      area: result.area.toString()
+    })
+
+    it('finds the curve that delivers more', function () {
+      const curve1 = new LiquidityCurve([ [0, 0], [50, 60], [100, 100] ])
+      const curve2 = new LiquidityCurve([ [0, 0], [100, 200] ])
+      assert.deepEqual(toStrings(curve1.compare(curve2)), {
+        intervals: [ [ '0', '100', 'other', '4500' ] ],
+        crossovers: [],
+        area: '-4500'
+      })
+      assert.deepEqual(toStrings(curve2.compare(curve1)), {
+        intervals: [ [ '0', '100', 'this', '4500' ] ],
+        crossovers: [],
+        area: '4500'
+      })
+    })
+
+    it('finds the crossovers', function () {
+      const curve1 = new LiquidityCurve([ [0, 0], [50, 100], [100, 100] ])
+      const curve2 = new LiquidityCurve([ [0, 0], [100, 150] ])
+      assert.deepEqual(toStrings(curve1.compare(curve2)), {
+        intervals: [
+          [ '0', '66.66666666666666666667', 'this', '833.33333333333333333333' ],
+          [ '66.66666666666666666667', '100', 'other', '833.33333333333333333333' ]
+        ],
+        crossovers: [ [ '66.66666666666666666667', '100' ] ],
+        area: '0'
+      })
+    })
+
+    it('finds where the curves are equal', function () {
+      const curve1 = new LiquidityCurve([ [0, 0], [50, 50], [100, 60] ])
+      const curve2 = new LiquidityCurve([ [0, 0], [50, 50], [100, 100] ])
+      assert.deepEqual(toStrings(curve1.compare(curve2)), {
+        intervals: [
+          [ '0', '50', 'equal', '0' ],
+          [ '50', '100', 'other', '1000' ]
+        ],
+        crossovers: [ [ '50', '50' ] ],
+        area: '-1000'
+      })
+    })
+
+    it('covers both domains', function () {
+      const curve1 = new LiquidityCurve([ [0, 0], [10, 10] ])
+      const curve2 = new LiquidityCurve([ [20, 30], [30, 40] ])
+      assert.deepEqual(toStrings(curve1.compare(curve2)), {
+        intervals: [
+          [ '0', '20', 'this', '150' ],
+          [ '20', '30', 'other', '250' ]
+        ],
+        crossovers: [],
+        area: '-100'
+      })
+    })
+
+    it('returns nothing for empty curves', function () {
+      const curve = new LiquidityCurve([])
+      assert.deepEqual(toStrings(curve.compare(curve)), { intervals: [], crossovers: [], area: '0' })
+    })
   })
 
   describe('combine', function () {
@@ -190,13 +642,25 @@ describe('LiquidityCurve', function () {
       assert.deepEqual(curve2.combine(curve1).getPoints(), result)
     })
 
+    it('doesn\'t interpolate over the start of a curve that begins above the other', function () {
+      const curve1 = new LiquidityCurve([ [0, 0], [100, 100] ])
+      const curve2 = new LiquidityCurve([ [50, 80], [100, 100] ])
+      const combinedCurve = curve1.combine(curve2)
+      assert.deepStrictEqual(combinedCurve.getPoints(),
+        [ [0, 0], [49, 49], [50, 80], [100, 100] ])
+      assert.equal(combinedCurve.amountAt(25), 25)
+      assert.equal(combinedCurve.amountAt(49), 49)
+      assert.equal(combinedCurve.amountAt(50), 80)
+    })
+
     it('misc tests', function () {
       const curve1 = new LiquidityCurve([[1711569, 1312840], [7503921, 6501735], [9033555, 9515658]])
       const curve2 = new LiquidityCurve([[7647566, 8125921], [8184218, 17986167], [9460351, 18838810]])
       const curve3 = new LiquidityCurve([[1302711, 4607848], [3449558, 6478308], [7395038, 9969362]])
       const curve4 = new LiquidityCurve([[16576, 8209992], [271695, 12268681], [9287990, 15228960]])
+      // curve2 starts above curve1, so curve1's value just before curve2 starts is pinned at [7647565, 6784764].
       assert.deepEqual(curve1.combine(curve2).getPoints(),
-        [[1711569, 1312840], [7503921, 6501735], [7647566, 8125921], [8184218, 17986167], [9033555, 18553648], [9460351, 18838810]])
+        [[1711569, 1312840], [7503921, 6501735], [7647565, 6784764], [7647566, 8125921], [8184218, 17986167], [9033555, 18553648], [9460351, 18838810]])
       assert.deepEqual(curve1.combine(curve3).getPoints(),
         [[1302711, 4607848], [1711569, 4964069], [3449558, 6478308], [7395038, 9969362], [7503921, 9969362], [9033555, 9969362]])
       assert.deepEqual(curve1.combine(curve4).getPoints(),
@@ -210,6 +674,184 @@ describe('LiquidityCurve', function () {
     })
   })
 
+  describe('minimum', function () {
+    it('returns the lower envelope of two curves', function () {
+      const curve1 = new LiquidityCurve([ [0, 0], [50, 60], [100, 100] ])
+      const curve2 = new LiquidityCurve([ [0, 0], [100, 200] ])
+      assert.deepStrictEqual(curve1.minimum(curve2).getPoints(),
+        [ [0, 0], [50, 60], [100, 100] ])
+      assert.deepStrictEqual(curve2.minimum(curve1).getPoints(),
+        [ [0, 0], [50, 60], [100, 100] ])
+    })
+
+    it('rounds crossovers right and down', function () {
+      const curve1 = new LiquidityCurve([ [10, 0], [30, 20], [40, 20], [50, 30] ])
+      const curve2 = new LiquidityCurve([ [0, 5], [100, 50] ])
+      assert.deepStrictEqual(curve1.minimum(curve2).getPoints(), [
+        [10, 0], [28, 17], [30, 18], [34, 20], [40, 20],
+        [46, 25], [50, 27], [56, 30], [100, 30]
+      ])
+    })
+
+    it('starts where the later curve starts', function () {
+      const curve1 = new LiquidityCurve([ [0, 0], [100, 100] ])
+      const curve2 = new LiquidityCurve([ [50, 10], [100, 200] ])
+      assert.deepStrictEqual(curve1.minimum(curve2).getPoints(),
+        [ [50, 10], [65, 64], [100, 100] ])
+    })
+
+    it('returns an empty curve if either curve is empty', function () {
+      const curve = new LiquidityCurve([ [0, 0], [100, 100] ])
+      assert.deepStrictEqual(curve.minimum(new LiquidityCurve([])).getPoints(), [])
+    })
+  })
+
+  describe('invert', function () {
+    it('swaps the axes', function () {
+      const curve = new LiquidityCurve([ [0, 0], [50, 60], [100, 100] ])
+      assert.deepStrictEqual(curve.invert().getPoints(),
+        [ [0, 0], [1, 2], [58, 50], [60, 50], [61, 53], [99, 100], [100, 100] ])
+    })
+
+    it('keeps the smallest source amount where the curve is flat', function () {
+      const curve = new LiquidityCurve([ [10, 0], [30, 20], [40, 20], [50, 30] ])
+      const inverted = curve.invert()
+      assert.deepStrictEqual(inverted.getPoints(),
+        [ [0, 10], [20, 30], [21, 41], [30, 50] ])
+      assert.equal(inverted.amountAt(20).toString(), '30')
+      assert.equal(inverted.amountAt(25).toString(), curve.amountReverse(25).toString())
+    })
+
+    it('rounds the source amount up between vertices', function () {
+      const curve = new LiquidityCurve([ [0, 0], [10, 4] ])
+      const inverted = curve.invert()
+      for (let y = 0; y <= 4; y++) {
+        assert.ok(inverted.amountAt(y).gte(curve.amountReverse(y)), 'y=' + y)
+        assert.ok(inverted.amountAt(y).lte(curve.amountReverse(y).add(1)), 'y=' + y)
+      }
+    })
+
+    it('costs the first source amount up to the first destination amount', function () {
+      const curve = new LiquidityCurve([ [5, 7], [10, 9] ])
+      const inverted = curve.invert()
+      assert.deepStrictEqual(inverted.getPoints(), [ [0, 5], [7, 5], [8, 8], [9, 10] ])
+      assert.equal(inverted.amountAt(3).toString(), curve.amountReverse(3).toString())
+    })
+
+    it('matches amountReverse at the vertices', function () {
+      const curve = new LiquidityCurve([ [0, 0], [3, 1], [9, 7], [20, 7], [21, 9] ])
+      const inverted = curve.invert()
+      for (const y of [0, 1, 7, 9]) {
+        assert.equal(inverted.amountAt(y).toString(), curve.amountReverse(y).toString())
+      }
+    })
+  })
+
+  describe('simplify', function () {
+    const curve = new LiquidityCurve([ [0, 0], [10, 50], [20, 60], [30, 65], [40, 100], [50, 101] ])
+
+    it('reduces the curve to maxPoints', function () {
+      assert.equal(curve.simplify(3).getPoints().length, 3)
+    })
+
+    it('can place the curve above the original', function () {
+      const simplified = curve.simplify(3)
+      assert.ok(simplified.amountAt(20).gt(curve.amountAt(20)))
+    })
+
+    describe('conservative', function () {
+      it('drops points that lie above the segment joining their neighbours', function () {
+        assert.deepStrictEqual(curve.simplify(4, { conservative: true }).getPoints(),
+          [ [0, 0], [10, 50], [30, 65], [50, 101] ])
+        assert.deepStrictEqual(curve.simplify(2, { conservative: true }).getPoints(),
+          [ [0, 0], [50, 101] ])
+      })
+
+      it('merges points that lie below the segment joining their neighbours', function () {
+        const curve = new LiquidityCurve([ [0, 0], [10, 10], [20, 10], [30, 100] ])
+        assert.deepStrictEqual(curve.simplify(3, { conservative: true }).getPoints(),
+          [ [0, 0], [20, 10], [30, 100] ])
+      })
+
+      it('keeps the maximum amount', function () {
+        const curve = new LiquidityCurve([ [0, 0], [10, 10], [20, 100] ])
+        assert.deepStrictEqual(curve.simplify(2, { conservative: true }).getPoints(),
+          [ [10, 0], [20, 100] ])
+      })
+
+      it('returns the curve as-is if it has few enough points', function () {
+        assert.deepStrictEqual(curve.simplify(10, { conservative: true }).getPoints(), curve.getPoints())
+      })
+    })
+  })
+
+  describe('simplifyWithin', function () {
+    const curve = new LiquidityCurve([ [0, 0], [10, 50], [20, 60], [30, 65], [40, 100], [50, 101] ])
+
+    it('keeps every point with zero tolerance', function () {
+      assert.deepStrictEqual(curve.simplifyWithin({ absolute: 0 }).getPoints(), curve.getPoints())
+    })
+
+    it('keeps the fewest points within an absolute tolerance', function () {
+      const simplified = curve.simplifyWithin({ absolute: 20 })
+      assert.deepStrictEqual(simplified.getPoints(), [ [0, 0], [10, 50], [50, 101] ])
+      assert.ok(curve.measureError(simplified).max.lte(20))
+    })
+
+    it('keeps the fewest points within a relative tolerance', function () {
+      const simplified = curve.simplifyWithin({ relative: 0.05 })
+      assert.deepStrictEqual(simplified.getPoints(), [ [0, 0], [10, 50], [30, 65], [40, 100], [50, 101] ])
+    })
+
+    it('reduces a straight line to its end points', function () {
+      const line = new LiquidityCurve([ [0, 0], [10, 10], [20, 20], [30, 30] ])
+      assert.deepStrictEqual(line.simplifyWithin({ absolute: 0 }).getPoints(), [ [0, 0], [30, 30] ])
+    })
+
+    it('stays below the curve when conservative', function () {
+      const simplified = curve.simplifyWithin({ absolute: 20 }, { conservative: true })
+      assert.deepStrictEqual(simplified.getPoints(), [ [0, 0], [10, 50], [30, 65], [50, 101] ])
+    })
+
+    it('throws TypeError if the tolerance is invalid', function () {
+      assert.throws(() => curve.simplifyWithin({}),
+        /TypeError: LiquidityCurve#simplifyWithin tolerance must have either an absolute or a relative bound/)
+      assert.throws(() => curve.simplifyWithin({ absolute: 1, relative: 0.1 }),
+        /TypeError: LiquidityCurve#simplifyWithin tolerance must have either an absolute or a relative bound/)
+      assert.throws(() => curve.simplifyWithin({ absolute: -1 }),
+        /TypeError: LiquidityCurve#simplifyWithin tolerance must not be negative/)
+    })
+  })
+
+  describe('measureError', function () {
+    const curve = new LiquidityCurve([ [0, 0], [10, 50], [20, 60] ])
+
+    it('returns zero for the same curve', function () {
+      const error = curve.measureError(curve)
+      assert.equal(error.max.toString(), '0')
+      assert.equal(error.area.toString(), '0')
+    })
+
+    it('measures a curve below the original', function () {
+      const error = curve.measureError(new LiquidityCurve([ [0, 0], [20, 60] ]))
+      assert.equal(error.max.toString(), '20')
+      assert.equal(error.area.toString(), '200')
+    })
+
+    it('measures a curve that crosses the original', function () {
+      const error = curve.measureError(new LiquidityCurve([ [0, 10], [10, 40], [20, 60] ]))
+      assert.equal(error.max.toString(), '10')
+      // Two triangles (0→5 and 5→10) of height 10, then 10 high tapering to 0.
+      assert.equal(error.area.toString(), '100')
+    })
+
+    it('counts the part of the domain that the curve doesn\'t cover', function () {
+      const error = curve.measureError(new LiquidityCurve([ [10, 50], [20, 60] ]))
+      assert.equal(error.max.toString(), '50')
+      assert.equal(error.area.toString(), '250')
+    })
+  })
+
   describe('join', function () {
     it('composes two routes', function () {
       const curve1 = new LiquidityCurve([ [0, 0], [200, 100] ])
@@ -249,6 +891,175 @@ describe('LiquidityCurve', function () {
     })
   })
 
+  describe('properties', function () {
+    this.timeout(10000)
+    const TRIALS = 200
+
+    it('combine never delivers more than the better of the two curves', function () {
+      const random = seededRandom(1)
+      for (let i = 0; i < TRIALS; i++) {
+        const curve1 = randomCurve(random)
+        const curve2 = randomCurve(random)
+        const combinedCurve = curve1.combine(curve2)
+        for (const x of sampleAmounts(random, curve1, curve2)) {
+          const best = BigNumber.max(curve1.amountAt(x), curve2.amountAt(x))
+          assert.ok(combinedCurve.amountAt(x).lte(best),
+            `x=${x} combined=${combinedCurve.amountAt(x)} best=${best} ` +
+            JSON.stringify([curve1.getPoints(), curve2.getPoints()]))
+        }
+      }
+    })
+
+    it('conservative simplify never delivers more than the original curve', function () {
+      const random = seededRandom(3)
+      for (let i = 0; i < TRIALS; i++) {
+        const curve = randomCurve(random, 12)
+        const maxPoints = 1 + randomInt(random, 6)
+        const simplified = curve.simplify(maxPoints, { conservative: true })
+        assert.ok(simplified.points.length <= maxPoints)
+        for (const x of sampleAmounts(random, curve, simplified)) {
+          assert.ok(simplified.amountAt(x).lte(curve.amountAt(x)),
+            `x=${x} maxPoints=${maxPoints} ` + JSON.stringify(curve.getPoints()))
+        }
+      }
+    })
+
+    it('applyFee never delivers more than the curve does for the rounded amount left after the fee', function () {
+      const random = seededRandom(4)
+      for (let i = 0; i < TRIALS; i++) {
+        const curve = randomCurve(random)
+        const basisPoints = randomInt(random, 500)
+        const fee = { fixed: randomInt(random, 50), percent: basisPoints / 100, min: randomInt(random, 100) }
+        const feeCurve = curve.applyFee(fee)
+        for (const x of sampleAmounts(random, curve, feeCurve)) {
+          // Everything in ten-thousandths, to keep it exact.
+          const charged = Math.max(fee.min * 10000, fee.fixed * 10000 + x * basisPoints)
+          const net = Math.floor(Math.max(0, x * 10000 - charged) / 10000)
+          const expected = x * 10000 < charged ? new BigNumber(0) : curve.amountAt(net)
+          assert.ok(feeCurve.amountAt(x).lte(expected),
+            `x=${x} fee=${JSON.stringify(fee)} delivered=${feeCurve.amountAt(x)} expected=${expected} ` +
+            JSON.stringify(curve.getPoints()))
+        }
+      }
+    })
+
+    it('allocate spends at most the amount and delivers what it reports', function () {
+      const random = seededRandom(5)
+      for (let i = 0; i < TRIALS; i++) {
+        const curves = [ randomCurve(random), randomCurve(random), randomCurve(random) ]
+        for (const x of sampleAmounts(random, curves[0], curves[1])) {
+          const result = LiquidityCurve.allocate(curves, x)
+          const spent = result.amounts.reduce((sum, amount) => sum.add(amount), new BigNumber(0))
+          const delivered = result.amounts.reduce((sum, amount, j) =>
+            amount.isZero() ? sum : sum.add(curves[j].amountAt(amount)), new BigNumber(0))
+          assert.ok(spent.lte(x), `x=${x} spent=${spent}`)
+          assert.ok(delivered.eq(result.value), `x=${x} delivered=${delivered} value=${result.value}`)
+          if (x === 0) continue
+          const single = BigNumber.max.apply(null, curves.map((curve) => curve.amountAt(x)))
+          assert.ok(single.lte(result.value), `x=${x} single=${single} value=${result.value}`)
+        }
+      }
+    })
+
+    it('allocate matches a brute-force search on small curves', function () {
+      const random = seededRandom(8)
+      for (let i = 0; i < 100; i++) {
+        const curves = [ smallCurve(random), smallCurve(random), smallCurve(random) ]
+        const amount = randomInt(random, 60)
+        const maxParts = 1 + randomInt(random, 2)
+        const values = curves.map((curve) => amountTable(curve, amount))
+        let best = 0
+        for (let a = 0; a <= amount; a++) {
+          for (let b = 0; a + b <= amount; b++) {
+            const c = amount - a - b
+            if ((a > 0) + (b > 0) + (c > 0) > maxParts) {
+              // Leave the last curve out.
+              if ((a > 0) + (b > 0) <= maxParts) best = Math.max(best, values[0][a] + values[1][b])
+              continue
+            }
+            best = Math.max(best, values[0][a] + values[1][b] + values[2][c])
+          }
+        }
+        const result = LiquidityCurve.allocate(curves, amount, maxParts)
+        assert.equal(result.value.toNumber(), best,
+          `amount=${amount} maxParts=${maxParts} ` + JSON.stringify(curves.map((curve) => curve.getPoints())))
+      }
+    })
+
+    it('allocateReverse matches a brute-force search on small curves', function () {
+      const random = seededRandom(9)
+      for (let i = 0; i < 100; i++) {
+        const curves = [ smallCurve(random), smallCurve(random), smallCurve(random) ]
+        const maxParts = 1 + randomInt(random, 2)
+        const limit = curves.reduce((sum, curve) => sum + Math.max(curve.maxSourceAmount().toNumber(), 1), 0)
+        const values = curves.map((curve) => amountTable(curve, limit))
+        const amount = 1 + randomInt(random, values.reduce((sum, table) => sum + table[limit], 0))
+        let best = Infinity
+        for (let a = 0; a <= limit; a++) {
+          for (let b = 0; a + b <= limit; b++) {
+            for (let c = 0; a + b + c <= limit && a + b + c < best; c++) {
+              if ((a > 0) + (b > 0) + (c > 0) > maxParts) continue
+              if (values[0][a] + values[1][b] + values[2][c] >= amount) best = a + b + c
+            }
+          }
+        }
+        const result = LiquidityCurve.allocateReverse(curves, amount, maxParts)
+        assert.equal(result ? result.cost.toNumber() : Infinity, best,
+          `amount=${amount} maxParts=${maxParts} ` + JSON.stringify(curves.map((curve) => curve.getPoints())))
+      }
+    })
+
+    it('minimum never delivers more than either curve', function () {
+      const random = seededRandom(6)
+      for (let i = 0; i < TRIALS; i++) {
+        const curve1 = randomCurve(random)
+        const curve2 = randomCurve(random)
+        const minimumCurve = curve1.minimum(curve2)
+        for (const x of sampleAmounts(random, curve1, curve2)) {
+          const worst = BigNumber.min(curve1.amountAt(x), curve2.amountAt(x))
+          assert.ok(minimumCurve.amountAt(x).lte(worst),
+            `x=${x} minimum=${minimumCurve.amountAt(x)} worst=${worst} ` +
+            JSON.stringify([curve1.getPoints(), curve2.getPoints()]))
+        }
+      }
+    })
+
+    it('invert never quotes less than amountReverse', function () {
+      const random = seededRandom(7)
+      for (let i = 0; i < TRIALS; i++) {
+        const curve = randomCurve(random)
+        const inverted = curve.invert()
+        const maxY = curve.maxDestinationAmount().toNumber()
+        const amounts = [ 0, maxY ]
+        for (const point of inverted.getPoints()) {
+          amounts.push(Math.max(point[0] - 1, 0), point[0], Math.min(point[0] + 1, maxY))
+        }
+        for (let j = 0; j < 20; j++) amounts.push(randomInt(random, maxY))
+        for (const y of amounts) {
+          assert.ok(inverted.amountAt(y).gte(curve.amountReverse(y)),
+            `y=${y} inverted=${inverted.amountAt(y)} reverse=${curve.amountReverse(y)} ` +
+            JSON.stringify(curve.getPoints()))
+        }
+      }
+    })
+
+    it('join never delivers more than the composition of the two curves', function () {
+      const random = seededRandom(2)
+      for (let i = 0; i < TRIALS; i++) {
+        const curve1 = randomCurve(random)
+        const curve2 = randomCurve(random)
+        const joinedCurve = curve1.join(curve2)
+        if (joinedCurve.points.length === 0) continue
+        for (const x of sampleAmounts(random, curve1, joinedCurve)) {
+          const composed = exactAmountAt(curve2, exactAmountAt(curve1, [new BigNumber(x), new BigNumber(1)]))
+          assert.ok(joinedCurve.amountAt(x).mul(composed[1]).lte(composed[0]),
+            `x=${x} joined=${joinedCurve.amountAt(x)} ` +
+            JSON.stringify([curve1.getPoints(), curve2.getPoints()]))
+        }
+      }
+    })
+  })
+
   describe('shiftX', function () {
     it('shifts all of the points\' Xs by the specified amount', function () {
       const curve = new LiquidityCurve([ [0, 0], [50, 60], [100, 100] ])
@@ -283,6 +1094,96 @@ describe('LiquidityCurve', function () {
     })
   })
 
+  describe('applySpread', function () {
+    it('keeps a fraction of every destination amount, rounding down', function () {
+      const curve = new LiquidityCurve([ [0, 0], [100, 150], [1000, 2001] ])
+      assert.deepStrictEqual(curve.applySpread(0.01).getPoints(),
+        [ [0, 0], [100, 148], [1000, 1980] ])
+    })
+
+    it('throws TypeError if the rate is out of range', function () {
+      const curve = new LiquidityCurve([ [0, 0], [100, 150] ])
+      assert.throws(() => curve.applySpread(-0.1), /TypeError: LiquidityCurve#applySpread rate must be between 0 and 1/)
+      assert.throws(() => curve.applySpread(2), /TypeError: LiquidityCurve#applySpread rate must be between 0 and 1/)
+    })
+  })
+
+  describe('applyFee', function () {
+    const curve = new LiquidityCurve([ [0, 0], [5000, 10000] ])
+
+    it('charges a fixed fee', function () {
+      assert.deepStrictEqual(curve.applyFee({ fixed: 10 }).getPoints(),
+        [ [10, 0], [5010, 10000] ])
+    })
+
+    it('charges a percentage fee, rounding the source amount up', function () {
+      const feeCurve = curve.applyFee({ percent: 1 })
+      assert.deepStrictEqual(feeCurve.getPoints(), [ [0, 0], [1, 0], [5052, 10000] ])
+      assert.equal(feeCurve.amountAt(1000), 1977) // 10 fee
+    })
+
+    it('charges a minimum fee', function () {
+      const feeCurve = curve.applyFee({ percent: 1, min: 20 })
+      assert.deepStrictEqual(feeCurve.getPoints(), [ [20, 0], [1901, 3762], [5052, 10000] ])
+      assert.equal(feeCurve.amountAt(100), 160) // 20 fee
+      assert.equal(feeCurve.amountAt(3000), 5937) // 30 fee
+    })
+
+    it('never delivers more than the curve does for the rounded net amount', function () {
+      const curve = new LiquidityCurve([ [27, 39], [299, 174], [470, 459] ])
+      const feeCurve = curve.applyFee({ percent: 3, min: 3 })
+      // A 13.05 fee leaves 421.95, which rounds down to 421.
+      assert.ok(feeCurve.amountAt(435).lte(curve.amountAt(421)))
+    })
+
+    it('returns an empty curve as-is', function () {
+      assert.deepStrictEqual(new LiquidityCurve([]).applyFee({ fixed: 10 }).getPoints(), [])
+    })
+
+    it('throws TypeError if a fee is invalid', function () {
+      assert.throws(() => curve.applyFee({ fixed: -1 }), /TypeError: LiquidityCurve#applyFee fees must not be negative/)
+      assert.throws(() => curve.applyFee({ percent: 100 }), /TypeError: LiquidityCurve#applyFee percent must be less than 100/)
+    })
+  })
+
+  describe('toAsciiChart', function () {
+    it('plots the curve', function () {
+      const curve = new LiquidityCurve([ [0, 0], [10, 10] ])
+      assert.equal(curve.toAsciiChart({ width: 6, height: 3 }), [
+        '10 |    **',
+        '   |  **',
+        ' 0 |**',
+        '   +------',
+        '    0   10',
+        ''
+      ].join('\n'))
+    })
+
+    it('leaves the chart blank before the curve starts', function () {
+      const curve = new LiquidityCurve([ [5, 10], [10, 10] ])
+      assert.equal(curve.toAsciiChart({ width: 6, height: 3 }).split('\n')[0], '10 |   ***')
+    })
+
+    it('handles an empty curve', function () {
+      assert.equal(new LiquidityCurve([]).toAsciiChart(), '(no points)\n')
+    })
+  })
+
+  describe('toSVG', function () {
+    it('plots the curve', function () {
+      const curve = new LiquidityCurve([ [0, 0], [10, 10] ])
+      assert.equal(curve.toSVG({ width: 100, height: 80 }), [
+        '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="80" viewBox="0 0 100 80">',
+        '  <path d="M30 30V50H70" fill="none" stroke="#000"/>',
+        '  <text x="26" y="30" text-anchor="end" font-size="10">10</text>',
+        '  <text x="70" y="64" text-anchor="end" font-size="10">10</text>',
+        '  <polyline fill="none" stroke="#1f77b4" points="30.00,50.00 70.00,30.00"><title>curve</title></polyline>',
+        '</svg>',
+        ''
+      ].join('\n'))
+    })
+  })
+
   describe('toBuffer', function () {
     it('serializes an empty curve', function () {
       const curve = new LiquidityCurve([])
@@ -298,5 +1199,146 @@ describe('LiquidityCurve', function () {
       assert.deepEqual(buffer.readUInt32LE(20), 10) // points[1][0]
       assert.deepEqual(buffer.readUInt32LE(28), 20) // points[1][1]
     })
+
+    it('serializes a curve in the varint format', function () {
+      const curve = new LiquidityCurve([ [0, 0], [10, 20], [300, 5000] ])
+      assert.deepEqual(curve.toBuffer(1),
+        Buffer.from([ 1, 3, 0, 0, 10, 20, 0xa2, 0x02, 0xf4, 0x26 ]))
+    })
+
+    it('serializes an empty curve in the varint format', function () {
+      const curve = new LiquidityCurve([])
+      assert.deepEqual(curve.toBuffer(1), Buffer.from([ 1, 0 ]))
+    })
+
+    it('pads the varint format so its length isn\'t a multiple of 16', function () {
+      const points = []
+      for (let i = 0; i < 7; i++) points.push([ i, i ])
+      const buffer = new LiquidityCurve(points).toBuffer(1)
+      assert.equal(buffer.length, 17)
+      assert.equal(buffer[16], 0)
+      assert.deepEqual(new LiquidityCurve(buffer).getPoints(), points)
+    })
+
+    it('uses the varint format for amounts beyond 64 bits', function () {
+      const curve = new LiquidityCurve([ [0, 0], ['18446744073709551616', '100000000000000000000000000'] ])
+      assert.equal(curve.toBuffer()[0], 1)
+      const decoded = new LiquidityCurve(curve.toBuffer().toString('base64'))
+      assert.equal(decoded.maxSourceAmount().toFixed(0), '18446744073709551616')
+      assert.equal(decoded.maxDestinationAmount().toFixed(0), '100000000000000000000000000')
+    })
+
+    it('throws InvalidLiquidityCurveError for amounts beyond 64 bits in the legacy format', function () {
+      const curve = new LiquidityCurve([ [0, 0], ['18446744073709551616', 1] ])
+      assert.throws(() => curve.toBuffer(0),
+        /InvalidLiquidityCurveError: Amount exceeds the legacy format's 64-bit limit: 18446744073709551616/)
+    })
+
+    it('keeps the largest legacy amount', function () {
+      const curve = new LiquidityCurve([ [0, 0], ['18446744073709551615', 1] ])
+      assert.equal(curve.toBuffer().length, 32)
+      assert.equal(new LiquidityCurve(curve.toBuffer(0)).maxSourceAmount().toFixed(0), '18446744073709551615')
+    })
+
+    it('throws TypeError for an unknown version', function () {
+      const curve = new LiquidityCurve([ [0, 0], [10, 20] ])
+      assert.throws(() => curve.toBuffer(2), /TypeError: LiquidityCurve#toBuffer version must be 0 or 1/)
+    })
   })
 })
+
+// [ [0, 0], [10, 1], [20, 4], [30, 9], … ]
+function convexPoints (length) {
+  const points = []
+  for (let i = 0; i < length; i++) points.push([10 * i, i * i])
+  return points
+}
+
+// [ [offset + 10, 99], [offset + 20, 196], [offset + 30, 291], … ]
+function concavePoints (length, offset) {
+  const points = []
+  for (let i = 1; i <= length; i++) points.push([offset + 10 * i, 100 * i - i * i])
+  return points
+}
+
+// Deterministic PRNG (mulberry32), so that property test failures are reproducible.
+function seededRandom (seed) {
+  return function () {
+    seed = (seed + 0x6D2B79F5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+function randomInt (random, max) {
+  return Math.floor(random() * (max + 1))
+}
+
+function randomCurve (random, maxLength) {
+  const length = 1 + randomInt(random, (maxLength || 6) - 1)
+  let x = randomInt(random, 500)
+  let y = randomInt(random, 500)
+  const points = [ [x, y] ]
+  for (let i = 1; i < length; i++) {
+    x += 1 + randomInt(random, 1000)
+    y += randomInt(random, 1000)
+    points.push([x, y])
+  }
+  return new LiquidityCurve(points)
+}
+
+// A curve that may not be concave, small enough to search exhaustively.
+function smallCurve (random) {
+  const length = 1 + randomInt(random, 3)
+  let x = randomInt(random, 10)
+  let y = randomInt(random, 5)
+  const points = [ [x, y] ]
+  for (let i = 1; i < length; i++) {
+    x += 1 + randomInt(random, 10)
+    y += randomInt(random, 15)
+    points.push([x, y])
+  }
+  return new LiquidityCurve(points)
+}
+
+// `curve.amountAt` for every amount up to `limit`, where sending nothing delivers nothing.
+function amountTable (curve, limit) {
+  const values = [ 0 ]
+  for (let x = 1; x <= limit; x++) values.push(curve.amountAt(x).toNumber())
+  return values
+}
+
+// Every vertex (and its neighbours) plus some random amounts.
+function sampleAmounts (random, curve1, curve2) {
+  const amounts = []
+  for (const point of curve1.getPoints().concat(curve2.getPoints())) {
+    amounts.push(Math.max(point[0] - 1, 0), point[0], point[0] + 1)
+  }
+  for (let i = 0; i < 20; i++) amounts.push(randomInt(random, 6000))
+  return amounts
+}
+
+/**
+ * Evaluate a curve at a fraction without any rounding.
+ *
+ * @param {LiquidityCurve} curve
+ * @param {BigNumber[]} x - [numerator, denominator]
+ * @returns {BigNumber[]} [numerator, denominator]
+ */
+function exactAmountAt (curve, x) {
+  const points = curve.points
+  const first = points[0]
+  const last = points[points.length - 1]
+  if (x[0].lt(first[0].mul(x[1]))) return [new BigNumber(0), new BigNumber(1)]
+  if (last[0].mul(x[1]).lte(x[0])) return [last[1], new BigNumber(1)]
+  let i; for (i = 0; points[i][0].mul(x[1]).lte(x[0]); i++) ;
+  const pointA = points[i - 1]
+  const pointB = points[i]
+  const dx = pointB[0].sub(pointA[0])
+  const dy = pointB[1].sub(pointA[1])
+  return [
+    pointA[1].mul(dx).mul(x[1]).add(dy.mul(x[0].sub(pointA[0].mul(x[1])))),
+    dx.mul(x[1])
+  ]
+}
@@ -16,6 +16,34 @@ describe('PrefixMap', function () {
       this.map.insert('bar', {bar: 1})
       assert.deepEqual(this.map.keys(), ['foo', 'bar'])
     })
+
+    it('stays sorted through inserts and deletes', function () {
+      const prefixes = [ 'a.', 'a.b.', 'b.', 'a.c.', '', 'ab.', 'a.b.c.', 'c.' ]
+      const expected = new Set()
+      for (let i = 0; i < 100; i++) {
+        const prefix = prefixes[(i * 7 + Math.floor(i / 3)) % prefixes.length]
+        if (i % 3 === 2) {
+          this.map.delete(prefix)
+          expected.delete(prefix)
+        } else {
+          this.map.insert(prefix, {i})
+          expected.add(prefix)
+        }
+        assert.deepEqual(this.map.keys(), Array.from(expected).sort((a, b) =>
+          b.length - a.length || (a < b ? 1 : -1)))
+        assert.deepEqual(Object.keys(this.map.items).sort(), Array.from(expected).sort())
+      }
+    })
+  })
+
+  describe('toJSON', function () {
+    it('lists the items in the same order as keys', function () {
+      this.map.insert('a.', {foo: 1})
+      this.map.insert('b.c.', {foo: 2})
+      this.map.insert('b.', {foo: 3})
+      assert.deepEqual(Object.keys(this.map.toJSON()), ['b.c.', 'b.', 'a.'])
+      assert.deepEqual(this.map.toJSON(), {'a.': {foo: 1}, 'b.': {foo: 3}, 'b.c.': {foo: 2}})
+    })
   })
 
   describe('size', function () {
@@ -66,6 +94,247 @@ describe('PrefixMap', function () {
       assert.deepEqual(this.map.resolve('a.b.c.d.'), {foo: 2})
       assert.deepEqual(this.map.resolve('a.'), {foo: 1})
     })
+
+    it('returns the longest of several nested prefixes', function () {
+      this.map.insert('a.', {foo: 1})
+      this.map.insert('a.b.c.', {foo: 3})
+      this.map.insert('a.b.', {foo: 2})
+
+      assert.deepEqual(this.map.resolve('a.b.c.d.'), {foo: 3})
+      assert.deepEqual(this.map.resolve('a.b.x.'), {foo: 2})
+      assert.deepEqual(this.map.resolve('a.bc'), {foo: 1})
+      assert.strictEqual(this.map.resolve('b.'), null)
+    })
+  })
+
+  describe('resolve with segment matching', function () {
+    beforeEach(function () {
+      this.map = new PrefixMap({ matching: 'segment' })
+    })
+
+    it('only matches at segment boundaries', function () {
+      this.map.insert('g.us', {us: 1})
+      this.map.insert('g.eu.', {eu: 1})
+      assert.deepEqual(this.map.resolve('g.us'), {us: 1})
+      assert.deepEqual(this.map.resolve('g.us.bob'), {us: 1})
+      assert.strictEqual(this.map.resolve('g.usd.alice'), null)
+      assert.deepEqual(this.map.resolve('g.eu.bob'), {eu: 1})
+      assert.strictEqual(this.map.resolve('g.eur.bob'), null)
+    })
+
+    it('falls back to a shorter prefix that ends at a boundary', function () {
+      this.map.insert('', {any: 1})
+      this.map.insert('g.', {g: 1})
+      this.map.insert('g.us', {us: 1})
+      assert.deepEqual(this.map.resolve('g.usd.alice'), {g: 1})
+      assert.deepEqual(this.map.resolve('private.alice'), {any: 1})
+    })
+
+    it('returns null for keys that are not ILP addresses', function () {
+      this.map.insert('', {any: 1})
+      assert.strictEqual(this.map.resolve(''), null)
+      assert.strictEqual(this.map.resolve('g..alice'), null)
+      assert.strictEqual(this.map.resolve('g.al ice'), null)
+    })
+
+    it('rejects prefixes that are not ILP address prefixes', function () {
+      assert.throws(() => this.map.insert('g..us', {}),
+        /TypeError: PrefixMap#insert prefix is not a valid ILP address prefix: g\.\.us/)
+      assert.throws(() => this.map.insert('.g', {}), /TypeError/)
+      assert.equal(this.map.size(), 0)
+    })
+
+    it('rejects an unknown matching mode', function () {
+      assert.throws(() => new PrefixMap({ matching: 'fuzzy' }),
+        /TypeError: PrefixMap matching must be "raw" or "segment"/)
+    })
+  })
+
+  describe('resolveKey', function () {
+    it('returns the matched prefix with the item', function () {
+      this.map.insert('a.', {foo: 1})
+      this.map.insert('a.b.', {foo: 2})
+      assert.deepEqual(this.map.resolveKey('a.b.c'), {prefix: 'a.b.', item: {foo: 2}})
+      assert.deepEqual(this.map.resolveKey('a.c'), {prefix: 'a.', item: {foo: 1}})
+      assert.strictEqual(this.map.resolveKey('b.'), null)
+    })
+
+    it('returns a matched catch-all prefix', function () {
+      this.map.insert('', {any: 1})
+      assert.deepEqual(this.map.resolveKey('b.'), {prefix: '', item: {any: 1}})
+    })
+  })
+
+  describe('ancestors', function () {
+    it('returns every matching prefix, longest first', function () {
+      this.map.insert('', {foo: 0})
+      this.map.insert('a.', {foo: 1})
+      this.map.insert('a.b.c.', {foo: 3})
+      this.map.insert('a.c.', {foo: 4})
+      assert.deepEqual(this.map.ancestors('a.b.c.d'), [
+        {prefix: 'a.b.c.', item: {foo: 3}},
+        {prefix: 'a.', item: {foo: 1}},
+        {prefix: '', item: {foo: 0}}
+      ])
+      assert.deepEqual(this.map.ancestors('b.'), [ {prefix: '', item: {foo: 0}} ])
+    })
+
+    it('returns an empty list for no match', function () {
+      this.map.insert('a.', {foo: 1})
+      assert.deepEqual(this.map.ancestors('b.'), [])
+    })
+
+    it('only returns prefixes that end at a boundary in segment mode', function () {
+      this.map = new PrefixMap({ matching: 'segment' })
+      this.map.insert('g.', {foo: 1})
+      this.map.insert('g.us', {foo: 2})
+      this.map.insert('g.usd', {foo: 3})
+      assert.deepEqual(this.map.ancestors('g.usd.alice').map((entry) => entry.prefix), ['g.usd', 'g.'])
+    })
+  })
+
+  describe('descendants', function () {
+    beforeEach(function () {
+      this.map.insert('a.', {foo: 1})
+      this.map.insert('a.b.', {foo: 2})
+      this.map.insert('a.b.c.', {foo: 3})
+      this.map.insert('a.z.', {foo: 4})
+      this.map.insert('b.', {foo: 5})
+    })
+
+    it('returns every key under the prefix, in key order', function () {
+      assert.deepEqual(this.map.descendants('a.'), [
+        {prefix: 'a.b.c.', item: {foo: 3}},
+        {prefix: 'a.z.', item: {foo: 4}},
+        {prefix: 'a.b.', item: {foo: 2}}
+      ])
+      assert.deepEqual(this.map.descendants('a.b').map((entry) => entry.prefix), ['a.b.c.', 'a.b.'])
+    })
+
+    it('returns every key under the catch-all prefix', function () {
+      assert.deepEqual(this.map.descendants('').map((entry) => entry.prefix),
+        ['a.b.c.', 'a.z.', 'a.b.', 'b.', 'a.'])
+    })
+
+    it('returns an empty list when nothing is under the prefix', function () {
+      assert.deepEqual(this.map.descendants('a.b.c.'), [])
+      assert.deepEqual(this.map.descendants('c.'), [])
+    })
+
+    it('only returns keys below a segment boundary in segment mode', function () {
+      this.map = new PrefixMap({ matching: 'segment' })
+      this.map.insert('g.us', {foo: 1})
+      this.map.insert('g.us.', {foo: 2})
+      this.map.insert('g.us.bob', {foo: 3})
+      this.map.insert('g.usd.alice', {foo: 4})
+      assert.deepEqual(this.map.descendants('g.us').map((entry) => entry.prefix), ['g.us.bob', 'g.us.'])
+      assert.deepEqual(this.map.descendants('g.').map((entry) => entry.prefix),
+        ['g.usd.alice', 'g.us.bob', 'g.us.', 'g.us'])
+    })
+  })
+
+  describe('snapshot', function () {
+    beforeEach(function () {
+      this.map.insert('a.', {foo: 1})
+      this.map.insert('a.b.', {foo: 2})
+      this.snapshot = this.map.snapshot()
+    })
+
+    it('doesn\'t see later changes to the map', function () {
+      this.map.insert('a.b.c.', {foo: 3})
+      this.map.insert('a.', {foo: 4})
+      this.map.delete('a.b.')
+      assert.deepEqual(this.snapshot.keys(), ['a.b.', 'a.'])
+      assert.deepEqual(this.snapshot.items, {'a.': {foo: 1}, 'a.b.': {foo: 2}})
+      assert.deepEqual(this.snapshot.resolve('a.b.c.d'), {foo: 2})
+      assert.equal(this.snapshot.size(), 2)
+      assert.deepEqual(this.map.keys(), ['a.b.c.', 'a.'])
+      assert.deepEqual(this.map.resolve('a.b.c.d'), {foo: 3})
+      assert.deepEqual(this.map.get('a.'), {foo: 4})
+    })
+
+    it('shares the nodes that haven\'t changed', function () {
+      this.map.insert('b.', {foo: 3})
+      assert.notEqual(this.map.root, this.snapshot.root)
+      assert.equal(this.map.root.children.get('a'), this.snapshot.root.children.get('a'))
+    })
+
+    it('shares the sorted entries that haven\'t changed', function () {
+      this.map.insert('0.', {foo: 3})
+      assert.notEqual(this.map._order, this.snapshot._order)
+      assert.equal(this.map._order.left, this.snapshot._order.left)
+      assert.deepEqual(this.map.keys(), ['a.b.', 'a.', '0.'])
+      assert.deepEqual(this.snapshot.keys(), ['a.b.', 'a.'])
+    })
+
+    it('is read-only', function () {
+      assert.throws(() => this.snapshot.insert('b.', {}), /Error: PrefixMap is a read-only snapshot/)
+      assert.throws(() => this.snapshot.delete('a.'), /Error: PrefixMap is a read-only snapshot/)
+      assert.equal(this.snapshot.snapshot(), this.snapshot)
+    })
+
+    it('keeps the segment matching mode', function () {
+      const map = new PrefixMap({ matching: 'segment' })
+      map.insert('g.us', {foo: 1})
+      assert.strictEqual(map.snapshot().resolve('g.usd'), null)
+    })
+  })
+
+  describe('diff', function () {
+    beforeEach(function () {
+      this.map.insert('a.', {foo: 1})
+      this.map.insert('a.b.', {foo: 2})
+      this.map.insert('c.', {foo: 3})
+      this.other = new PrefixMap()
+      this.other.insert('a.', this.map.get('a.'))
+      this.other.insert('a.b.', {foo: 4})
+      this.other.insert('a.b.c.', {foo: 5})
+      this.other.insert('', {foo: 6})
+    })
+
+    it('returns the added, removed and changed keys', function () {
+      assert.deepEqual(PrefixMap.diff(this.map, this.other), {
+        added: [ {prefix: 'a.b.c.', item: {foo: 5}}, {prefix: '', item: {foo: 6}} ],
+        removed: [ {prefix: 'c.', item: {foo: 3}} ],
+        changed: [ {prefix: 'a.b.', before: {foo: 2}, after: {foo: 4}} ]
+      })
+    })
+
+    it('uses the equality check', function () {
+      const diff = PrefixMap.diff(this.map, this.other, (itemA, itemB) => itemA.foo % 2 === itemB.foo % 2)
+      assert.deepEqual(diff.changed, [])
+    })
+
+    it('compares a map with a snapshot of itself', function () {
+      const snapshot = this.map.snapshot()
+      assert.deepEqual(PrefixMap.diff(snapshot, this.map), {added: [], removed: [], changed: []})
+      this.map.insert('a.b.c.', {foo: 5})
+      this.map.delete('c.')
+      assert.deepEqual(PrefixMap.diff(snapshot, this.map), {
+        added: [ {prefix: 'a.b.c.', item: {foo: 5}} ],
+        removed: [ {prefix: 'c.', item: {foo: 3}} ],
+        changed: []
+      })
+    })
+  })
+
+  describe('isValidAddress', function () {
+    it('accepts dot-separated segments', function () {
+      assert.equal(PrefixMap.isValidAddress('g.us-fed.~bob_1'), true)
+      assert.equal(PrefixMap.isValidAddress('ledgerA.'), true)
+      assert.equal(PrefixMap.isValidAddress(''), false)
+      assert.equal(PrefixMap.isValidAddress('.g'), false)
+      assert.equal(PrefixMap.isValidAddress('g..us'), false)
+      assert.equal(PrefixMap.isValidAddress('g.us/bob'), false)
+    })
+  })
+
+  describe('isValidPrefix', function () {
+    it('also accepts the catch-all prefix', function () {
+      assert.equal(PrefixMap.isValidPrefix(''), true)
+      assert.equal(PrefixMap.isValidPrefix('g.us'), true)
+      assert.equal(PrefixMap.isValidPrefix('g.us..'), false)
+    })
   })
 
   describe('get', function () {
@@ -95,6 +364,19 @@ describe('PrefixMap', function () {
       })
       assert.deepEqual(keys, ['foo', 'bar'])
     })
+
+    it('lets the callback change the map', function () {
+      this.map.insert('foo', {foo: 1})
+      this.map.insert('bar', {bar: 1})
+      const keys = []
+      this.map.each((item, key) => {
+        keys.push(key)
+        this.map.delete('bar')
+        this.map.insert('baz', {baz: 1})
+      })
+      assert.deepEqual(keys, ['foo', 'bar'])
+      assert.deepEqual(this.map.keys(), ['foo', 'baz'])
+    })
   })
 
   describe('insert', function () {
@@ -153,5 +435,25 @@ describe('PrefixMap', function () {
       assert.deepEqual(this.map.prefixes, [])
       assert.deepEqual(this.map.items, {})
     })
+
+    it('keeps longer and shorter prefixes that share the deleted one', function () {
+      this.map.insert('a.', {foo: 1})
+      this.map.insert('a.b.', {foo: 2})
+      this.map.insert('a.b.c.', {foo: 3})
+      this.map.delete('a.b.')
+      assert.equal(this.map.size(), 2)
+      assert.deepEqual(this.map.resolve('a.b.c.d'), {foo: 3})
+      assert.deepEqual(this.map.resolve('a.b.d'), {foo: 1})
+      this.map.delete('a.b.c.')
+      assert.deepEqual(this.map.resolve('a.b.c.d'), {foo: 1})
+      assert.deepEqual(this.map.root.children.get('a').children.get('.').children.size, 0)
+    })
+
+    it('does nothing for a key that is only part of a prefix', function () {
+      this.map.insert('a.b.', {foo: 1})
+      this.map.delete('a.')
+      assert.equal(this.map.size(), 1)
+      assert.deepEqual(this.map.resolve('a.b.c'), {foo: 1})
+    })
   })
 })
@@ -0,0 +1,162 @@
+'use strict'
+
+const assert = require('assert')
+const crypto = require('crypto')
+const Route = require('../src/lib/route')
+const RouteVerifier = require('../src/lib/route-verifier')
+const sinon = require('sinon')
+
+const ledgerA = 'ledgerA.'
+const ledgerB = 'ledgerB.'
+const maryA = ledgerA + 'mary'
+const hmacKey = { algorithm: 'hmac-sha256', secret: 'shared secret' }
+
+describe('RouteVerifier', function () {
+  beforeEach(function () {
+    this.verifier = new RouteVerifier()
+    this.data = {
+      source_ledger: ledgerA,
+      destination_ledger: ledgerB,
+      source_account: maryA,
+      min_message_window: 1,
+      points: [ [0, 0], [100, 200] ],
+      paths: [ [] ]
+    }
+  })
+
+  describe('sign', function () {
+    it('adds a signature without changing the data', function () {
+      const signed = RouteVerifier.sign(this.data, hmacKey)
+      assert.equal(typeof signed.signature, 'string')
+      assert.strictEqual(this.data.signature, undefined)
+      assert.deepEqual(Object.assign({}, signed, { signature: undefined }),
+        Object.assign({}, this.data, { signature: undefined }))
+    })
+
+    it('doesn\'t depend on the order of the keys', function () {
+      const reordered = {}
+      Object.keys(this.data).reverse().forEach((key) => { reordered[key] = this.data[key] })
+      assert.equal(RouteVerifier.sign(reordered, hmacKey).signature,
+        RouteVerifier.sign(this.data, hmacKey).signature)
+    })
+
+    it('rejects invalid keys', function () {
+      assert.throws(() => RouteVerifier.sign(this.data, { algorithm: 'rot13' }),
+        /TypeError: RouteVerifier.sign key algorithm must be "hmac-sha256" or "ed25519"/)
+      assert.throws(() => RouteVerifier.sign(this.data, { algorithm: 'hmac-sha256' }),
+        /TypeError: RouteVerifier.sign hmac-sha256 key must have a secret/)
+      assert.throws(() => RouteVerifier.sign(this.data, { algorithm: 'ed25519', publicKey: 'key' }),
+        /TypeError: RouteVerifier.sign ed25519 key must have a privateKey/)
+    })
+  })
+
+  describe('verify with an HMAC secret', function () {
+    beforeEach(function () {
+      this.verifier.setPeer(maryA, hmacKey)
+    })
+
+    it('accepts a signed route', function () {
+      this.verifier.verify(RouteVerifier.sign(this.data, hmacKey))
+    })
+
+    it('rejects an unsigned route', function () {
+      assert.throws(() => this.verifier.verify(this.data),
+        /InvalidRouteError: Invalid route from ledgerA\.mary: signature is missing/)
+    })
+
+    it('rejects a route signed with another secret', function () {
+      const signed = RouteVerifier.sign(this.data, { algorithm: 'hmac-sha256', secret: 'guess' })
+      assert.throws(() => this.verifier.verify(signed),
+        /InvalidRouteError: Invalid route from ledgerA\.mary: signature does not match/)
+    })
+
+    it('rejects a route that was changed after it was signed', function () {
+      const signed = RouteVerifier.sign(this.data, hmacKey)
+      signed.points = [ [0, 0], [100, 2000] ]
+      assert.throws(() => this.verifier.verify(signed), (err) => err.field === 'signature')
+    })
+  })
+
+  describe('verify with an Ed25519 key', function () {
+    before(function () {
+      if (typeof crypto.generateKeyPairSync !== 'function') this.skip()
+    })
+
+    beforeEach(function () {
+      const keys = crypto.generateKeyPairSync('ed25519')
+      this.privateKey = { algorithm: 'ed25519', privateKey: keys.privateKey }
+      this.verifier.setPeer(maryA, { algorithm: 'ed25519', publicKey: keys.publicKey })
+    })
+
+    it('accepts a signed route', function () {
+      this.verifier.verify(RouteVerifier.sign(this.data, this.privateKey))
+    })
+
+    it('rejects a route signed with another key', function () {
+      const otherKey = { algorithm: 'ed25519', privateKey: crypto.generateKeyPairSync('ed25519').privateKey }
+      assert.throws(() => this.verifier.verify(RouteVerifier.sign(this.data, otherKey)),
+        /InvalidRouteError: Invalid route from ledgerA\.mary: signature does not match/)
+    })
+
+    it('accepts a PEM public key', function () {
+      const keys = crypto.generateKeyPairSync('ed25519')
+      this.verifier.setPeer(maryA, {
+        algorithm: 'ed25519',
+        publicKey: keys.publicKey.export({ type: 'spki', format: 'pem' })
+      })
+      this.verifier.verify(RouteVerifier.sign(this.data, { algorithm: 'ed25519', privateKey: keys.privateKey }))
+    })
+
+    it('throws TypeError for a malformed public key', function () {
+      assert.throws(() => this.verifier.setPeer(maryA, { algorithm: 'ed25519', publicKey: 'not a key' }),
+        /TypeError: RouteVerifier#setPeer ed25519 publicKey could not be parsed/)
+    })
+
+    it('throws TypeError for a key that is not an Ed25519 public key', function () {
+      const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 })
+      assert.throws(() => this.verifier.setPeer(maryA, { algorithm: 'ed25519', publicKey: rsa.publicKey }),
+        /TypeError: RouteVerifier#setPeer ed25519 publicKey must be an Ed25519 public key/)
+      assert.throws(() => this.verifier.setPeer(maryA, {
+        algorithm: 'ed25519',
+        publicKey: crypto.generateKeyPairSync('ed25519').privateKey
+      }), /TypeError: RouteVerifier#setPeer ed25519 publicKey must be an Ed25519 public key/)
+    })
+
+    it('rejects a route whose signature can\'t be checked', function () {
+      sinon.stub(crypto, 'verify').throws(new Error('unsupported'))
+      try {
+        assert.throws(() => this.verifier.verify(RouteVerifier.sign(this.data, this.privateKey)),
+          /InvalidRouteError: Invalid route from ledgerA\.mary: signature could not be verified: unsupported/)
+      } finally {
+        crypto.verify.restore()
+      }
+    })
+  })
+
+  describe('verify from unknown peers', function () {
+    it('accepts unsigned routes by default', function () {
+      this.verifier.verify(this.data)
+    })
+
+    it('rejects them with rejectUnknownPeers', function () {
+      const verifier = new RouteVerifier({ rejectUnknownPeers: true })
+      assert.throws(() => verifier.verify(RouteVerifier.sign(this.data, hmacKey)),
+        /InvalidRouteError: Invalid route from ledgerA\.mary: source_account has no key to verify the route with/)
+    })
+
+    it('accepts unsigned routes again once the peer is removed', function () {
+      this.verifier.setPeer(maryA, hmacKey)
+      this.verifier.removePeer(maryA)
+      this.verifier.verify(this.data)
+    })
+  })
+
+  describe('with Route.fromData', function () {
+    it('rejects badly signed routes', function () {
+      this.verifier.setPeer(maryA, hmacKey)
+      assert.throws(() => Route.fromData(this.data, 0, this.verifier), /signature is missing/)
+      const route = Route.fromData(RouteVerifier.sign(this.data, hmacKey), 0, this.verifier)
+      assert.equal(route.sourceAccount, maryA)
+    })
+  })
+})
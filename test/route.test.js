@@ -80,6 +80,28 @@ describe('Route', function () {
         assert.deepStrictEqual(route.getPoints(), [[10, 20], [100, 200]])
       })
     })
+
+    describe('rateAt', function () {
+      it('finds the effective rate', function () {
+        assert.equal(route.rateAt(55).toString(), '2')
+      })
+    })
+
+    describe('marginalRateAt', function () {
+      it('finds the slope', function () {
+        assert.equal(route.marginalRateAt(55).toString(), '2')
+      })
+    })
+
+    describe('liquidity', function () {
+      it('finds the limits of the curve', function () {
+        assert.equal(route.minSourceAmount().toString(), '10')
+        assert.equal(route.maxSourceAmount().toString(), '100')
+        assert.equal(route.maxDestinationAmount().toString(), '200')
+        assert.deepEqual(route.domain().map(String), [ '10', '100' ])
+        assert.deepEqual(route.range().map(String), [ '20', '200' ])
+      })
+    })
   })
 
   describe('combine', function () {
@@ -127,6 +149,109 @@ describe('Route', function () {
     it('picks the larger minMessageWindow', function () {
       assert.equal(combinedRoute.minMessageWindow, 2)
     })
+
+    describe('with every field set', function () {
+      beforeEach(function () {
+        const info = {
+          minMessageWindow: 1,
+          expiresAt: START_DATE + 2000,
+          isLocal: true,
+          sourceAccount: markA,
+          destinationAccount: markC,
+          additionalInfo: { rate_info: '0.5', note: 'first' },
+          targetPrefix: ledgerC + 'us.',
+          sourceAsset: { code: 'USD', scale: 2 },
+          destinationAsset: { code: 'EUR', scale: 2 },
+          attributes: { communities: [ 'a' ], origin: 'static', localPreference: 100, med: 5 },
+          connectors: [ 'g.mark', 'g.mary' ],
+          addedDuringEpoch: 3
+        }
+        this.route1 = new Route([[0, 0], [100, 100]], Object.assign({}, info, hopsABC), [['path1.']])
+        this.route2 = new Route([[0, 0], [50, 60]], Object.assign({}, info, hopsADC, {
+          minMessageWindow: 2,
+          expiresAt: START_DATE + 1000,
+          isLocal: false,
+          sourceAccount: ledgerA + 'martin',
+          additionalInfo: { note: 'second', extra: true },
+          targetPrefix: ledgerC + 'us.bob',
+          sourceAsset: undefined,
+          attributes: { communities: [ 'b' ], origin: 'incomplete', localPreference: 50, med: 2 },
+          connectors: [ 'g.martin', 'g.mary' ],
+          addedDuringEpoch: 5
+        }), [['path2.']])
+        this.combined = this.route1.combine(this.route2)
+      })
+
+      it('merges each field', function () {
+        const combined = this.combined
+        assert.equal(combined.minMessageWindow, 2)
+        assert.equal(combined.expiresAt, START_DATE + 1000)
+        assert.equal(combined.isLocal, false)
+        assert.equal(combined.sourceAccount, undefined)
+        assert.equal(combined.destinationAccount, markC)
+        assert.deepStrictEqual(combined.additionalInfo, { rate_info: '0.5', note: 'first', extra: true })
+        assert.equal(combined.targetPrefix, ledgerC + 'us.bob')
+        assert.deepStrictEqual(combined.sourceAsset, { code: 'USD', scale: 2 })
+        assert.deepStrictEqual(combined.destinationAsset, { code: 'EUR', scale: 2 })
+        assert.deepStrictEqual(combined.attributes,
+          { communities: [ 'a', 'b' ], origin: 'incomplete', localPreference: 100, med: 2 })
+        assert.deepStrictEqual(combined.connectors, [ 'g.mark', 'g.mary', 'g.martin' ])
+        assert.equal(combined.addedDuringEpoch, 5)
+      })
+
+      it('keeps the expiry of a route that has one', function () {
+        const route3 = new Route([[0, 0], [50, 60]], hopsADC, [['path3.']])
+        assert.equal(this.route1.combine(route3).expiresAt, START_DATE + 2000)
+        assert.equal(route3.combine(this.route1).expiresAt, START_DATE + 2000)
+      })
+
+      it('keeps the expiry over a route that never expires', function () {
+        const route3 = new Route([[0, 0], [50, 60]], Object.assign({ expiresAt: null }, hopsADC), [['path3.']])
+        assert.equal(this.route1.combine(route3).expiresAt, START_DATE + 2000)
+        assert.equal(route3.combine(this.route1).expiresAt, START_DATE + 2000)
+        assert.strictEqual(route3.combine(route3).expiresAt, null)
+      })
+
+      it('falls back to the destination ledger if the target prefixes are disjoint', function () {
+        const route3 = new Route([[0, 0], [50, 60]], Object.assign({ targetPrefix: ledgerC + 'eu.' }, hopsADC), [['path3.']])
+        assert.equal(this.route1.combine(route3).targetPrefix, ledgerC)
+      })
+
+      it('only nests target prefixes at segment boundaries', function () {
+        const usd = new Route([[0, 0], [50, 60]], Object.assign({ targetPrefix: ledgerC + 'usd' }, hopsADC), [['path3.']])
+        const us = new Route([[0, 0], [50, 60]], Object.assign({ targetPrefix: ledgerC + 'us' }, hopsADC), [['path4.']])
+        assert.equal(usd.combine(us).targetPrefix, ledgerC)
+        assert.equal(us.combine(usd).targetPrefix, ledgerC)
+        const usBob = new Route([[0, 0], [50, 60]], Object.assign({ targetPrefix: ledgerC + 'us.bob' }, hopsADC), [['path5.']])
+        assert.equal(us.combine(usBob).targetPrefix, ledgerC + 'us.bob')
+        assert.equal(usBob.combine(us).targetPrefix, ledgerC + 'us.bob')
+      })
+
+      it('treats a missing target prefix as the destination ledger', function () {
+        const route3 = new Route([[0, 0], [50, 60]], hopsADC, [['path3.']])
+        route3.targetPrefix = undefined
+        assert.equal(this.route1.combine(route3).targetPrefix, ledgerC + 'us.')
+        assert.equal(route3.combine(this.route1).targetPrefix, ledgerC + 'us.')
+        assert.equal(route3.combine(route3).targetPrefix, ledgerC)
+      })
+
+      it('uses the strategy to merge fields', function () {
+        const combined = this.route1.combine(this.route2, {
+          minMessageWindow: (a, b) => Math.min(a, b),
+          sourceAccount: (a, b, routeA, routeB) => routeB.sourceAccount
+        })
+        assert.equal(combined.minMessageWindow, 1)
+        assert.equal(combined.sourceAccount, ledgerA + 'martin')
+        // The other fields are merged as usual.
+        assert.equal(combined.expiresAt, START_DATE + 1000)
+        assert.deepStrictEqual(combined.getPoints(), this.combined.getPoints())
+      })
+
+      it('throws TypeError for an unknown field in the strategy', function () {
+        assert.throws(() => this.route1.combine(this.route2, { nextLedger: (a, b) => b }),
+          /TypeError: Route#combine strategy has no field nextLedger/)
+      })
+    })
   })
 
   describe('join', function () {
@@ -201,6 +326,43 @@ describe('Route', function () {
       const route2 = new Route([[0, 0], [50, 60]], hopsABC)
       assert.strictEqual(route1.join(route2, 0), undefined)
     })
+
+    it('keeps the outer assets', function () {
+      const usd = { code: 'USD', scale: 2 }
+      const xrp = { code: 'XRP', scale: 6 }
+      const eur = { code: 'EUR', scale: 2 }
+      const route1 = new Route([[0, 0], [200, 100]], {
+        sourceLedger: ledgerA,
+        nextLedger: ledgerB,
+        sourceAsset: usd,
+        destinationAsset: xrp
+      })
+      const route2 = new Route([[0, 0], [50, 60]], Object.assign({
+        sourceAsset: xrp,
+        destinationAsset: eur
+      }, hopsBCD))
+      const joinedRoute = route1.join(route2, 0)
+      assert.deepEqual(joinedRoute.sourceAsset, usd)
+      assert.deepEqual(joinedRoute.destinationAsset, eur)
+    })
+
+    it('throws if the shared ledger\'s assets differ', function () {
+      const route1 = new Route([[0, 0], [200, 100]], {
+        sourceLedger: ledgerA,
+        nextLedger: ledgerB,
+        destinationAsset: { code: 'XRP', scale: 6 }
+      })
+      const route2 = new Route([[0, 0], [50, 60]], Object.assign({
+        sourceAsset: { code: 'XRP', scale: 9 }
+      }, hopsBCD))
+      assert.throws(() => route1.join(route2, 0), (err) => {
+        assert(err instanceof Route.InvalidRouteError)
+        assert.equal(err.field, 'source_asset')
+        assert.equal(err.message, 'Invalid route: source_asset is {"code":"XRP","scale":9} but ledger ledgerB. ' +
+          'has asset {"code":"XRP","scale":6} in the head route')
+        return true
+      })
+    })
   })
 
   describe('shiftX', function () {
@@ -233,6 +395,111 @@ describe('Route', function () {
     })
   })
 
+  describe('applySpread', function () {
+    it('creates a route with the spread applied', function () {
+      const route1 = new Route([[0, 0], [100, 100]], Object.assign({
+        isLocal: true,
+        minMessageWindow: 1,
+        sourceAccount: markA
+      }, hopsABC), [['some.path.']])
+      const route2 = route1.applySpread(0.1)
+      assert.deepEqual(route2.getPoints(), [[0, 0], [100, 90]])
+      assert.equal(route2.isLocal, true)
+      assert.equal(route2.minMessageWindow, 1)
+      assert.equal(route2.sourceAccount, markA)
+      assert.equal(route2.destinationLedger, ledgerC)
+      assert.deepEqual(route2.paths, [['some.path.']])
+    })
+  })
+
+  describe('applyFee', function () {
+    it('creates a route with the fee applied', function () {
+      const route1 = new Route([[0, 0], [100, 100]], Object.assign({
+        isLocal: true,
+        sourceAccount: markA
+      }, hopsABC), [['some.path.']])
+      const route2 = route1.applyFee({ fixed: 5 })
+      assert.deepEqual(route2.getPoints(), [[5, 0], [105, 100]])
+      assert.equal(route2.isLocal, true)
+      assert.equal(route2.sourceAccount, markA)
+      assert.deepEqual(route2.paths, [['some.path.']])
+    })
+  })
+
+  describe('simplify', function () {
+    const route = new Route([[0, 0], [10, 10], [20, 10], [30, 100]], {
+      sourceLedger: ledgerA,
+      nextLedger: ledgerB,
+      isLocal: true
+    }, [['some.path.']])
+
+    it('creates a simplified route', function () {
+      const simplified = route.simplify(3)
+      assert.equal(simplified.getPoints().length, 3)
+      assert.equal(simplified.isLocal, true)
+      assert.deepEqual(simplified.paths, [['some.path.']])
+    })
+
+    it('passes options to the curve', function () {
+      assert.deepEqual(route.simplify(3, { conservative: true }).getPoints(),
+        [[0, 0], [20, 10], [30, 100]])
+    })
+
+    it('keeps the expiry, accounts and hops', function () {
+      const expiring = new Route([[0, 0], [10, 10], [20, 10], [30, 100]], Object.assign({
+        expiresAt: START_DATE + 1000,
+        sourceAccount: markA,
+        destinationAccount: markC
+      }, hopsABC))
+      const simplified = expiring.simplify(3)
+      assert.equal(simplified.expiresAt, START_DATE + 1000)
+      assert.equal(simplified.sourceAccount, markA)
+      assert.equal(simplified.destinationAccount, markC)
+      assert.equal(simplified.nextLedger, ledgerB)
+      assert.equal(simplified.toJSON().expires_at, START_DATE + 1000)
+    })
+  })
+
+  describe('simplifyWithin', function () {
+    it('creates a simplified route', function () {
+      const route = new Route([[0, 0], [10, 10], [20, 20], [30, 100]], {
+        sourceLedger: ledgerA,
+        nextLedger: ledgerB,
+        isLocal: true
+      }, [['some.path.']])
+      const simplified = route.simplifyWithin({ absolute: 0 })
+      assert.deepEqual(simplified.getPoints(), [[0, 0], [20, 20], [30, 100]])
+      assert.equal(simplified.isLocal, true)
+      assert.deepEqual(simplified.paths, [['some.path.']])
+    })
+  })
+
+  describe('explain', function () {
+    it('lists the paths and plots the curve', function () {
+      const route = new Route([[0, 0], [10, 10]], hopsABC, [ [], [ledgerD] ])
+      assert.equal(route.explain({ width: 6, height: 3 }), [
+        'ledgerA. -> ledgerB. -> ledgerC.',
+        'ledgerA. -> ledgerB. -> ledgerD. -> ledgerC.',
+        '10 |    **',
+        '   |  **',
+        ' 0 |**',
+        '   +------',
+        '    0   10',
+        ''
+      ].join('\n'))
+    })
+
+    it('mentions a custom target prefix', function () {
+      const route = new Route([[0, 0], [10, 10]], Object.assign({ targetPrefix: 'ledgerC.bob' }, hopsABC))
+      assert.equal(route.explain().split('\n')[1], 'target prefix: ledgerC.bob')
+    })
+
+    it('handles a route without a curve', function () {
+      const route = new Route(null, hopsABC)
+      assert.equal(route.explain(), 'ledgerA. -> ledgerB. -> ledgerC.\n(no curve)\n')
+    })
+  })
+
   describe('isExpired', function () {
     it('doesn\'t expire routes by default', function () {
       const route1 = new Route([[0, 0], [200, 100]], {
@@ -253,6 +520,18 @@ describe('Route', function () {
     })
   })
 
+  describe('withExpiration', function () {
+    it('returns a copy of the route with a new expiry', function () {
+      const route = new Route([[0, 0], [200, 100]], { sourceLedger: ledgerA, nextLedger: ledgerB, expiresAt: Date.now() + 1000 })
+      const bumped = route.withExpiration(3000)
+      assert.equal(route.expiresAt, Date.now() + 1000)
+      assert.equal(bumped.expiresAt, Date.now() + 3000)
+      assert.equal(bumped.curve, route.curve)
+      assert.equal(bumped.nextLedger, ledgerB)
+      assert.deepStrictEqual(bumped.paths, route.paths)
+    })
+  })
+
   describe('bumpExpiration', function () {
     it('doesn\'t expire routes that have been bumped, but they expire when specified', function () {
       const route1 = new Route([[0, 0], [200, 100]], { sourceLedger: ledgerA, nextLedger: ledgerB })
@@ -269,4 +548,330 @@ describe('Route', function () {
       assert.strictEqual(route2.isExpired(), true)
     })
   })
+
+  describe('attributes', function () {
+    beforeEach(function () {
+      this.head = new Route([[0, 0], [200, 100]], {
+        sourceLedger: ledgerA,
+        nextLedger: ledgerB,
+        attributes: { communities: [ 'head', 'shared' ], origin: 'local', localPreference: 50, med: 1 }
+      })
+      this.tail = new Route([[0, 0], [50, 60]], Object.assign({
+        attributes: { communities: [ 'tail', 'shared' ], origin: 'static', localPreference: 200, med: 5 }
+      }, hopsBCD))
+    })
+
+    it('defaults to no attributes', function () {
+      assert.deepStrictEqual(new Route([], hopsABC).attributes, {
+        communities: [],
+        origin: undefined,
+        localPreference: undefined,
+        med: undefined
+      })
+    })
+
+    it('sorts and dedupes communities', function () {
+      const route = new Route([], Object.assign({ attributes: { communities: [ 'b', 'a', 'b' ] } }, hopsABC))
+      assert.deepEqual(route.attributes.communities, [ 'a', 'b' ])
+      assert.equal(route.hasCommunity('a'), true)
+      assert.equal(route.hasCommunity('c'), false)
+    })
+
+    it('carries transitive attributes from both routes through join, and the rest from the tail', function () {
+      assert.deepStrictEqual(this.head.join(this.tail, 1000).attributes, {
+        communities: [ 'head', 'shared', 'tail' ],
+        origin: 'static',
+        localPreference: 200,
+        med: 5
+      })
+    })
+
+    it('merges attributes in combine', function () {
+      const alternate = new Route([[0, 0], [50, 60]], Object.assign({
+        attributes: { communities: [ 'alternate' ], origin: 'local', localPreference: 100, med: 3 }
+      }, hopsBCD))
+      assert.deepStrictEqual(this.tail.combine(alternate).attributes, {
+        communities: [ 'alternate', 'shared', 'tail' ],
+        origin: 'static',
+        localPreference: 200,
+        med: 3
+      })
+      const unknown = new Route([[0, 0], [50, 60]], hopsBCD)
+      assert.deepStrictEqual(this.tail.combine(unknown).attributes, {
+        communities: [ 'shared', 'tail' ],
+        origin: undefined,
+        localPreference: 200,
+        med: 5
+      })
+    })
+
+    it('keeps attributes through other transformations', function () {
+      assert.deepStrictEqual(this.tail.shiftX(1).attributes, this.tail.attributes)
+      assert.deepStrictEqual(this.tail.simplify(2).attributes, this.tail.attributes)
+      assert.deepStrictEqual(this.tail.withExpiration(1000).attributes, this.tail.attributes)
+    })
+
+    it('changes attributes in a copy with withAttributes', function () {
+      const route = this.tail.withAttributes({ localPreference: 300, communities: [ 'x' ] })
+      assert.deepStrictEqual(route.attributes, {
+        communities: [ 'x' ],
+        origin: 'static',
+        localPreference: 300,
+        med: 5
+      })
+      assert.equal(this.tail.attributes.localPreference, 200)
+    })
+
+    it('advertises all but the local preference', function () {
+      assert.deepStrictEqual(this.tail.toJSON().attributes, {
+        communities: [ 'shared', 'tail' ],
+        origin: 'static',
+        med: 5
+      })
+      assert.strictEqual(new Route([], hopsABC).toJSON().attributes, undefined)
+    })
+
+    it('ignores a local preference from a peer', function () {
+      const route = Route.fromData({
+        source_ledger: ledgerA,
+        destination_ledger: ledgerB,
+        source_account: markA,
+        attributes: { communities: [ 'c' ], origin: 'local', local_preference: 1000, med: 2 }
+      }, 0)
+      assert.deepStrictEqual(route.attributes, {
+        communities: [ 'c' ],
+        origin: 'local',
+        localPreference: undefined,
+        med: 2
+      })
+    })
+
+    it('rejects invalid attributes from a peer', function () {
+      const data = { source_ledger: ledgerA, destination_ledger: ledgerB, source_account: markA }
+      assert.throws(() => Route.fromData(Object.assign({ attributes: 'fast' }, data), 0),
+        /InvalidRouteError: Invalid route from ledgerA\.mark: attributes must be an object/)
+      assert.throws(() => Route.fromData(Object.assign({ attributes: { communities: [ 1 ] } }, data), 0),
+        /attributes communities must be a list of strings/)
+      assert.throws(() => Route.fromData(Object.assign({ attributes: { origin: 'igp' } }, data), 0),
+        /attributes origin must be one of local, static, incomplete/)
+      assert.throws(() => Route.fromData(Object.assign({ attributes: { med: -1 } }, data), 0),
+        /attributes med must be a non-negative number/)
+    })
+  })
+
+  describe('connectors', function () {
+    beforeEach(function () {
+      this.head = new Route([[0, 0], [200, 100]], {
+        sourceLedger: ledgerA,
+        nextLedger: ledgerB,
+        connectors: [ 'g.mark' ]
+      })
+      this.tail = new Route([[0, 0], [50, 60]], Object.assign({ connectors: [ 'g.mary', 'g.martin' ] }, hopsBCD))
+    })
+
+    it('defaults to no connectors', function () {
+      assert.deepStrictEqual(new Route([], hopsABC).connectors, [])
+    })
+
+    it('joins the connector paths', function () {
+      assert.deepStrictEqual(this.head.join(this.tail, 1000).connectors, [ 'g.mark', 'g.mary', 'g.martin' ])
+    })
+
+    it('won\'t join routes through the same connector, even on different ledgers', function () {
+      const tail = new Route([[0, 0], [50, 60]], Object.assign({ connectors: [ 'g.mary', 'g.mark' ] }, hopsBCD))
+      assert.strictEqual(this.head.join(tail, 1000), undefined)
+    })
+
+    it('won\'t join a route that already repeats a connector', function () {
+      const tail = new Route([[0, 0], [50, 60]], Object.assign({ connectors: [ 'g.mary', 'g.mary' ] }, hopsBCD))
+      const head = new Route([[0, 0], [200, 100]], { sourceLedger: ledgerA, nextLedger: ledgerB })
+      assert.strictEqual(head.join(tail, 1000), undefined)
+    })
+
+    it('keeps every connector in combine', function () {
+      const alternate = new Route([[0, 0], [50, 60]], Object.assign({ connectors: [ 'g.martin', 'g.mike' ] }, hopsBCD))
+      assert.deepStrictEqual(this.tail.combine(alternate).connectors, [ 'g.mary', 'g.martin', 'g.mike' ])
+    })
+
+    it('is advertised in toJSON alongside the paths', function () {
+      const data = this.tail.toJSON()
+      assert.deepStrictEqual(data.connectors, [ 'g.mary', 'g.martin' ])
+      assert.deepStrictEqual(data.paths, [ [] ])
+      assert.strictEqual(new Route([], hopsABC).toJSON().connectors, undefined)
+    })
+
+    it('is read by fromData', function () {
+      const data = { source_ledger: ledgerA, destination_ledger: ledgerB, source_account: markA }
+      assert.deepStrictEqual(Route.fromData(Object.assign({ connectors: [ 'g.mark' ] }, data), 0).connectors, [ 'g.mark' ])
+      assert.deepStrictEqual(Route.fromData(data, 0).connectors, [])
+      assert.throws(() => Route.fromData(Object.assign({ connectors: 'g.mark' }, data), 0),
+        /InvalidRouteError: Invalid route from ledgerA\.mark: connectors must be a list of connector IDs/)
+    })
+  })
+
+  describe('toFullJSON', function () {
+    beforeEach(function () {
+      this.route = new Route([[0, 0], [100, 200]], {
+        sourceLedger: ledgerA,
+        nextLedger: ledgerB,
+        destinationLedger: ledgerC,
+        targetPrefix: ledgerC + 'sub.',
+        minMessageWindow: 3,
+        expiresAt: START_DATE + 1000,
+        additionalInfo: { rate_info: '2.0' },
+        isLocal: false,
+        sourceAccount: markA,
+        destinationAccount: markC,
+        sourceAsset: { code: 'USD', scale: 2 },
+        destinationAsset: { code: 'EUR', scale: 2 },
+        attributes: { communities: [ '65000:1' ], origin: 'static', localPreference: 200, med: 10 },
+        connectors: [ 'g.mary' ],
+        addedDuringEpoch: 4
+      }, [ [ledgerD] ])
+    })
+
+    it('keeps every field', function () {
+      assert.deepStrictEqual(this.route.toFullJSON(), {
+        source_ledger: ledgerA,
+        next_ledger: ledgerB,
+        destination_ledger: ledgerC,
+        target_prefix: ledgerC + 'sub.',
+        points: this.route.curve.toBuffer().toString('base64'),
+        min_message_window: 3,
+        expires_at: START_DATE + 1000,
+        additional_info: { rate_info: '2.0' },
+        is_local: false,
+        source_account: markA,
+        destination_account: markC,
+        source_asset: { code: 'USD', scale: 2 },
+        destination_asset: { code: 'EUR', scale: 2 },
+        added_during_epoch: 4,
+        paths: [ [ledgerD] ],
+        connectors: [ 'g.mary' ],
+        attributes: { communities: [ '65000:1' ], origin: 'static', local_preference: 200, med: 10 }
+      })
+    })
+
+    it('round-trips through Route.fromFullJSON', function () {
+      const data = JSON.parse(JSON.stringify(this.route.toFullJSON()))
+      assert.deepStrictEqual(Route.fromFullJSON(data), this.route)
+    })
+
+    it('round-trips a route without a curve or an expiry', function () {
+      const route = new Route(null, {
+        sourceLedger: ledgerA,
+        nextLedger: ledgerB,
+        expiresAt: null,
+        isLocal: true,
+        addedDuringEpoch: 0
+      })
+      const data = JSON.parse(JSON.stringify(route.toFullJSON()))
+      assert.deepStrictEqual(Route.fromFullJSON(data), route)
+    })
+
+    it('round-trips amounts beyond 64 bits', function () {
+      const route = new Route([[0, 0], ['100000000000000000000000', '1']], hopsABC)
+      const data = JSON.parse(JSON.stringify(route.toFullJSON()))
+      assert.deepStrictEqual(Route.fromFullJSON(data).getPoints(), route.getPoints())
+    })
+  })
+
+  describe('fromData', function () {
+    beforeEach(function () {
+      this.data = {
+        source_ledger: ledgerA,
+        destination_ledger: ledgerB,
+        source_account: markA,
+        min_message_window: 1,
+        points: [ [0, 0], [100, 200] ]
+      }
+      this.assertInvalid = (data, field, message) => {
+        assert.throws(() => Route.fromData(Object.assign({}, this.data, data), 0), (err) => {
+          assert(err instanceof Route.InvalidRouteError)
+          assert.equal(err.field, field)
+          assert.equal(err.message, message)
+          return true
+        })
+      }
+    })
+
+    it('builds a route from valid data', function () {
+      const route = Route.fromData(Object.assign({ paths: [ [ledgerC] ], expires_at: null }, this.data), 0)
+      assert.equal(route.nextLedger, ledgerB)
+      assert.deepStrictEqual(route.paths, [ [ledgerC] ])
+    })
+
+    it('returns a Route as it is', function () {
+      const route = new Route([], hopsABC)
+      assert.equal(Route.fromData(route, 0), route)
+    })
+
+    it('reads the advertised assets', function () {
+      const route = Route.fromData(Object.assign({
+        source_asset: { code: 'USD', scale: 2 },
+        destination_asset: { code: 'EUR', scale: 2 }
+      }, this.data), 0)
+      assert.deepStrictEqual(route.sourceAsset, { code: 'USD', scale: 2 })
+      assert.deepStrictEqual(route.destinationAsset, { code: 'EUR', scale: 2 })
+      assert.deepStrictEqual(route.toJSON().source_asset, { code: 'USD', scale: 2 })
+      assert.deepStrictEqual(route.toJSON().destination_asset, { code: 'EUR', scale: 2 })
+      assert.strictEqual(Route.fromData(this.data, 0).sourceAsset, undefined)
+    })
+
+    it('rejects invalid assets', function () {
+      this.assertInvalid({ source_asset: 'USD' }, 'source_asset',
+        'Invalid route from ledgerA.mark: source_asset must be {code, scale} with a non-negative integer scale')
+      this.assertInvalid({ destination_asset: { code: 'EUR', scale: 1.5 } }, 'destination_asset',
+        'Invalid route from ledgerA.mark: destination_asset must be {code, scale} with a non-negative integer scale')
+    })
+
+    it('rejects data that is not an object', function () {
+      assert.throws(() => Route.fromData(null, 0), /InvalidRouteError: Invalid route: route must be an object/)
+    })
+
+    it('rejects missing ledgers and accounts', function () {
+      this.assertInvalid({ source_ledger: undefined }, 'source_ledger',
+        'Invalid route from ledgerA.mark: source_ledger must be a non-empty string')
+      this.assertInvalid({ destination_ledger: 5 }, 'destination_ledger',
+        'Invalid route from ledgerA.mark: destination_ledger must be a non-empty string')
+      this.assertInvalid({ source_account: undefined }, 'source_account',
+        'Invalid route: source_account must be a non-empty string')
+    })
+
+    it('doesn\'t require a source account for local pairs', function () {
+      const data = Object.assign({}, this.data, { source_account: undefined })
+      assert.strictEqual(Route.fromLocalData(data, 0).sourceAccount, undefined)
+      assert.throws(() => Route.fromLocalData(Object.assign({}, data, { source_account: '' }), 0),
+        /InvalidRouteError: Invalid route: source_account must be a non-empty string/)
+      assert.throws(() => Route.fromLocalData(Object.assign({}, data, { source_ledger: 1 }), 0),
+        /InvalidRouteError: Invalid route: source_ledger must be a non-empty string/)
+    })
+
+    it('rejects fields with the wrong type', function () {
+      this.assertInvalid({ target_prefix: 1 }, 'target_prefix',
+        'Invalid route from ledgerA.mark: target_prefix must be a string')
+      this.assertInvalid({ min_message_window: '1' }, 'min_message_window',
+        'Invalid route from ledgerA.mark: min_message_window must be a non-negative number')
+      this.assertInvalid({ expires_at: 'tomorrow' }, 'expires_at',
+        'Invalid route from ledgerA.mark: expires_at must be a timestamp in milliseconds')
+      this.assertInvalid({ additional_info: 'fast' }, 'additional_info',
+        'Invalid route from ledgerA.mark: additional_info must be an object')
+    })
+
+    it('rejects paths that are not lists of ledgers', function () {
+      this.assertInvalid({ paths: ledgerC }, 'paths',
+        'Invalid route from ledgerA.mark: paths must be a list of lists of ledgers')
+      this.assertInvalid({ paths: [ ledgerC ] }, 'paths',
+        'Invalid route from ledgerA.mark: paths must be a list of lists of ledgers')
+    })
+
+    it('rejects invalid points', function () {
+      this.assertInvalid({ points: 5 }, 'points',
+        'Invalid route from ledgerA.mark: points must be a list of points or a base64 string')
+      this.assertInvalid({ points: [ [0, 0], [100] ] }, 'points',
+        'Invalid route from ledgerA.mark: points are invalid: Point 1 must be an [x, y] pair')
+      this.assertInvalid({ points: 'AAE=' }, 'points',
+        'Invalid route from ledgerA.mark: points are invalid: Invalid LiquidityCurve buffer: length 2 is not a multiple of 16 and version 0 is unsupported')
+    })
+  })
 })
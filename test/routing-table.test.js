@@ -35,6 +35,45 @@ describe('RoutingTable', function () {
     })
   })
 
+  describe('snapshot', function () {
+    it('keeps the routes as they were', function () {
+      const table = new RoutingTable()
+      const routeMark = new Route([], [ledgerA, ledgerB], {})
+      const routeMary = new Route([], [ledgerA, ledgerB], {})
+      table.addRoute(ledgerB, markB, routeMark)
+      const snapshot = table.snapshot()
+      table.addRoute(ledgerB, maryB, routeMary)
+      table.removeRoute(ledgerB, markB)
+      assert.deepEqual(Array.from(snapshot.destinations.get(ledgerB).keys()), [markB])
+      assert.deepEqual(Array.from(table.destinations.get(ledgerB).keys()), [maryB])
+    })
+
+    it('is read-only', function () {
+      const snapshot = new RoutingTable().snapshot()
+      assert.throws(() => snapshot.addRoute(ledgerB, markB, new Route([], [ledgerA, ledgerB], {})),
+        /Error: PrefixMap is a read-only snapshot/)
+    })
+  })
+
+  describe('matching', function () {
+    beforeEach(function () {
+      this.route = new Route([[0, 0], [100, 100]], [ledgerA, 'g.us'], {})
+    })
+
+    it('matches destinations at segment boundaries by default', function () {
+      const table = new RoutingTable()
+      table.addRoute('g.us', markB, this.route)
+      assert.equal(table.findBestHopForSourceAmount('g.us.bob', 10).bestHop, markB)
+      assert.strictEqual(table.findBestHopForSourceAmount('g.usd.alice', 10), undefined)
+    })
+
+    it('supports raw string matching', function () {
+      const table = new RoutingTable({ matching: 'raw' })
+      table.addRoute('g.us', markB, this.route)
+      assert.equal(table.findBestHopForSourceAmount('g.usd.alice', 10).bestHop, markB)
+    })
+  })
+
   describe('getAppliesToPrefix', function () {
     beforeEach(function () {
       this.table = new RoutingTable()
@@ -57,6 +96,17 @@ describe('RoutingTable', function () {
       this.table.addRoute('a.b.c.def.', 'a.b.c.def.mark', new Route([], {}))
       assert.equal(this.table.getAppliesToPrefix('a.b.c.', 'a.b.c.carl'), 'a.b.c.carl')
     })
+
+    it('returns the full address if a more specific prefix extends it', function () {
+      this.table.addRoute('a.b.c.carl.x.', 'a.b.c.mark', new Route([], {}))
+      assert.equal(this.table.getAppliesToPrefix('a.b.c.', 'a.b.c.carl'), 'a.b.c.carl')
+    })
+
+    it('ignores prefixes outside of the route prefix', function () {
+      this.table.addRoute('a.b.', 'a.b.mark', new Route([], {}))
+      assert.equal(this.table.getAppliesToPrefix('a.b.c.', 'a.b.c.carl'), 'a.b.c.')
+      assert.equal(this.table.getAppliesToPrefix('', 'random.carl'), 'random.')
+    })
   })
 
   describe('findBestHopForSourceAmount', function () {
@@ -115,6 +165,101 @@ describe('RoutingTable', function () {
     })
   })
 
+  describe('findBestSplit', function () {
+    it('splits the amount when that delivers more', function () {
+      const table = new RoutingTable()
+      const routeMark = new Route([[0, 0], [100, 100], [200, 150]], [ledgerA, ledgerB], {})
+      const routeMary = new Route([[0, 0], [100, 90], [300, 190]], [ledgerA, ledgerB], {})
+      table.addRoute(ledgerB, markB, routeMark)
+      table.addRoute(ledgerB, maryB, routeMary)
+      assert.deepEqual(table.findBestSplit(ledgerB, 200), {
+        hops: [
+          { nextHop: markB, sourceAmount: '100', destinationAmount: '100', route: routeMark },
+          { nextHop: maryB, sourceAmount: '100', destinationAmount: '90', route: routeMary }
+        ],
+        sourceAmount: '200',
+        destinationAmount: '190'
+      })
+    })
+
+    it('uses at most maxParts hops', function () {
+      const table = new RoutingTable()
+      const routeMark = new Route([[0, 0], [100, 100], [200, 150]], [ledgerA, ledgerB], {})
+      const routeMary = new Route([[0, 0], [100, 90], [300, 190]], [ledgerA, ledgerB], {})
+      table.addRoute(ledgerB, markB, routeMark)
+      table.addRoute(ledgerB, maryB, routeMary)
+      assert.deepEqual(table.findBestSplit(ledgerB, 200, 1), {
+        hops: [
+          { nextHop: markB, sourceAmount: '200', destinationAmount: '150', route: routeMark }
+        ],
+        sourceAmount: '200',
+        destinationAmount: '150'
+      })
+    })
+
+    it('returns undefined when there is no route to the destination', function () {
+      const table = new RoutingTable()
+      assert.strictEqual(table.findBestSplit(ledgerB, 10), undefined)
+    })
+  })
+
+  describe('findBestSplitForDestinationAmount', function () {
+    it('splits the amount when that costs less', function () {
+      const table = new RoutingTable()
+      const routeMark = new Route([[0, 0], [100, 100], [200, 150]], [ledgerA, ledgerB], {})
+      const routeMary = new Route([[0, 0], [100, 90], [300, 190]], [ledgerA, ledgerB], {})
+      table.addRoute(ledgerB, markB, routeMark)
+      table.addRoute(ledgerB, maryB, routeMary)
+      assert.deepEqual(table.findBestSplitForDestinationAmount(ledgerB, 145), {
+        hops: [
+          { nextHop: markB, sourceAmount: '100', destinationAmount: '100', route: routeMark },
+          { nextHop: maryB, sourceAmount: '50', destinationAmount: '45', route: routeMary }
+        ],
+        sourceAmount: '150',
+        destinationAmount: '145'
+      })
+    })
+
+    it('returns undefined when the hops can\'t deliver the amount', function () {
+      const table = new RoutingTable()
+      table.addRoute(ledgerB, markB, new Route([[0, 0], [100, 100]], [ledgerA, ledgerB], {}))
+      table.addRoute(ledgerB, maryB, new Route([[0, 0], [100, 100]], [ledgerA, ledgerB], {}))
+      assert.strictEqual(table.findBestSplitForDestinationAmount(ledgerB, 201), undefined)
+    })
+  })
+
+  describe('getBestHopBands', function () {
+    it('finds the best hop for each band of source amounts', function () {
+      const table = new RoutingTable()
+      const routeMark = new Route([[0, 0], [100, 100], [200, 150]], [ledgerA, ledgerB], {})
+      const routeMary = new Route([[0, 0], [50, 60], [300, 190]], [ledgerA, ledgerB], {})
+      table.addRoute(ledgerB, markB, routeMark)
+      table.addRoute(ledgerB, maryB, routeMary)
+      assert.deepEqual(table.getBestHopBands(ledgerB), [
+        { from: '0', to: '70.83333333333333333333', nextHop: maryB, route: routeMary },
+        { from: '70.83333333333333333333', to: '223.07692307692307692308', nextHop: markB, route: routeMark },
+        { from: '223.07692307692307692308', to: '300', nextHop: maryB, route: routeMary }
+      ])
+    })
+
+    it('gives ties to the hop added first', function () {
+      const table = new RoutingTable()
+      const routeMark = new Route([[0, 0], [100, 100]], [ledgerA, ledgerB], {})
+      const routeMary = new Route([[0, 0], [50, 50], [100, 200]], [ledgerA, ledgerB], {})
+      table.addRoute(ledgerB, markB, routeMark)
+      table.addRoute(ledgerB, maryB, routeMary)
+      assert.deepEqual(table.getBestHopBands(ledgerB), [
+        { from: '0', to: '50', nextHop: markB, route: routeMark },
+        { from: '50', to: '100', nextHop: maryB, route: routeMary }
+      ])
+    })
+
+    it('returns undefined when there is no route to the destination', function () {
+      const table = new RoutingTable()
+      assert.strictEqual(table.getBestHopBands(ledgerB), undefined)
+    })
+  })
+
   describe('getBetterPath', function () {
     const getBetterPath = RoutingTable._getBetterPath
 
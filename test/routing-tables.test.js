@@ -3,6 +3,8 @@
 const assert = require('assert')
 const RoutingTables = require('../src/lib/routing-tables')
 const LiquidityCurve = require('../src/lib/liquidity-curve')
+const Route = require('../src/lib/route')
+const RouteVerifier = require('../src/lib/route-verifier')
 const sinon = require('sinon')
 
 const START_DATE = 1434412800000 // June 16, 2015 00:00:00 GMT
@@ -84,9 +86,341 @@ describe('RoutingTables', function () {
         bestValue: '80'
       })
     })
+
+    it('accepts pairs without a source account', function () {
+      this.tables.addLocalRoutes([{
+        source_ledger: ledgerA,
+        destination_ledger: ledgerC,
+        min_message_window: 1,
+        points: [ [0, 0], [1000, 1000] ]
+      }])
+      assertSubset(this.tables.findBestHopForSourceAmount(ledgerA, ledgerC, 100), {
+        bestValue: '100'
+      })
+    })
+
+    it('applies a pair\'s fee and spread', function () {
+      this.tables.addLocalRoutes([{
+        source_ledger: ledgerA,
+        destination_ledger: ledgerC,
+        source_account: markA,
+        min_message_window: 1,
+        points: [ [0, 0], [1000, 1000] ],
+        fee: { fixed: 10 },
+        spread: 0.1
+      }])
+      assert.deepStrictEqual(this.tables.getLocalPairRoute(ledgerA, ledgerC).getPoints(),
+        [ [10, 0], [1010, 900] ])
+      assertSubset(this.tables.findBestHopForSourceAmount(ledgerA, ledgerC, 110), {
+        bestValue: '90'
+      })
+    })
+  })
+
+  describe('setAsset', function () {
+    it('adds the assets to routes', function () {
+      const tables = new RoutingTables([{
+        source_ledger: ledgerA,
+        destination_ledger: ledgerB,
+        min_message_window: 1,
+        source_account: markA,
+        points: [ [0, 0], [200, 100] ]
+      }], 45000, { assets: {
+        [ledgerA]: { code: 'USD', scale: 2 },
+        [ledgerB]: { code: 'XRP', scale: 6 }
+      } })
+      tables.setAsset(ledgerC, { code: 'EUR', scale: 2 })
+      tables.addRoute({
+        source_ledger: ledgerB,
+        destination_ledger: ledgerC,
+        source_account: ledgerB + 'mary',
+        min_message_window: 1,
+        points: [ [0, 0], [50, 60] ]
+      })
+      const route = tables.sources.get(ledgerA).destinations.get(ledgerC).get(ledgerB + 'mary')
+      assert.deepEqual(route.sourceAsset, { code: 'USD', scale: 2 })
+      assert.deepEqual(route.destinationAsset, { code: 'EUR', scale: 2 })
+      assert.deepEqual(tables.getAsset(ledgerB), { code: 'XRP', scale: 6 })
+    })
+
+    describe('with advertised assets', function () {
+      beforeEach(function () {
+        this.tables.setAsset(ledgerB, { code: 'XRP', scale: 6 })
+        this.tables.setAsset(ledgerC, { code: 'EUR', scale: 2 })
+        this.data = {
+          source_ledger: ledgerB,
+          destination_ledger: ledgerC,
+          source_account: ledgerB + 'mary',
+          min_message_window: 1,
+          points: [ [0, 0], [50, 60] ]
+        }
+        this.assertRejected = (data, field, message) => {
+          const epoch = this.tables.currentEpoch
+          const routes = this.tables.toJSON(10)
+          assert.throws(() => this.tables.addRoute(data), (err) => {
+            assert.equal(err.name, 'InvalidRouteError')
+            assert.equal(err.field, field)
+            assert.equal(err.message, message)
+            return true
+          })
+          assert.equal(this.tables.currentEpoch, epoch)
+          assert.deepStrictEqual(this.tables.toJSON(10), routes)
+        }
+      })
+
+      it('accepts assets that match the registered ones', function () {
+        assert.equal(this.tables.addRoute(Object.assign({
+          source_asset: { code: 'XRP', scale: 6 },
+          destination_asset: { code: 'EUR', scale: 2 }
+        }, this.data)), true)
+        const route = this.tables.sources.get(ledgerA).destinations.get(ledgerC).get(ledgerB + 'mary')
+        assert.deepEqual(route.destinationAsset, { code: 'EUR', scale: 2 })
+      })
+
+      it('rejects a source asset that differs from the registered one', function () {
+        this.assertRejected(Object.assign({ source_asset: { code: 'XRP', scale: 9 } }, this.data), 'source_asset',
+          'Invalid route from ledgerB.mary: source_asset is {"code":"XRP","scale":9} but ledger ledgerB. has {"code":"XRP","scale":6}')
+      })
+
+      it('rejects a destination asset that differs from the registered one', function () {
+        this.assertRejected(Object.assign({ destination_asset: { code: 'USD', scale: 2 } }, this.data), 'destination_asset',
+          'Invalid route from ledgerB.mary: destination_asset is {"code":"USD","scale":2} but ledger ledgerC. has {"code":"EUR","scale":2}')
+      })
+
+      it('rejects a route whose source asset differs from a local pair\'s', function () {
+        this.tables = new RoutingTables([{
+          source_ledger: ledgerA,
+          destination_ledger: ledgerB,
+          min_message_window: 1,
+          source_account: markA,
+          destination_asset: { code: 'XRP', scale: 6 },
+          points: [ [0, 0], [200, 100] ]
+        }], 45000)
+        this.assertRejected(new Route([ [0, 0], [50, 60] ], {
+          sourceLedger: ledgerB,
+          nextLedger: ledgerC,
+          sourceAccount: ledgerB + 'mary',
+          sourceAsset: { code: 'XRP', scale: 9 }
+        }), 'source_asset',
+        'Invalid route from ledgerB.mary: source_asset is {"code":"XRP","scale":9} but the local pair from ledgerA. has {"code":"XRP","scale":6}')
+      })
+    })
+
+    it('throws TypeError for an invalid scale', function () {
+      assert.throws(() => this.tables.setAsset(ledgerA, { code: 'USD', scale: -1 }),
+        /TypeError: RoutingTables#setAsset scale must be a non-negative integer/)
+    })
+
+    it('throws TypeError for a missing code', function () {
+      assert.throws(() => this.tables.setAsset(ledgerA, { scale: 2 }),
+        /TypeError: RoutingTables#setAsset asset must have a code/)
+    })
+  })
+
+  describe('toAsciiChart', function () {
+    it('plots every next hop\'s curve', function () {
+      this.tables.addRoute({
+        source_ledger: ledgerB,
+        destination_ledger: ledgerC,
+        source_account: ledgerB + 'mary',
+        min_message_window: 1,
+        points: [ [0, 0], [100, 200] ]
+      })
+      this.tables.addRoute({
+        source_ledger: ledgerB,
+        destination_ledger: ledgerC,
+        source_account: ledgerB + 'bob',
+        min_message_window: 1,
+        points: [ [0, 0], [20, 100], [100, 120] ]
+      })
+      assert.equal(this.tables.toAsciiChart(ledgerA, ledgerC, { width: 10, height: 4 }), [
+        '200 |        aa',
+        '    |  bbb###bb',
+        '    | baaa',
+        '  0 |#a',
+        '    +----------',
+        '     0      200',
+        'a: ledgerB.mary',
+        'b: ledgerB.bob',
+        ''
+      ].join('\n'))
+    })
+
+    it('returns undefined when there is no route', function () {
+      assert.strictEqual(this.tables.toAsciiChart(ledgerA, ledgerE), undefined)
+    })
+  })
+
+  describe('toSVG', function () {
+    it('plots every next hop\'s curve', function () {
+      this.tables.addRoute({
+        source_ledger: ledgerB,
+        destination_ledger: ledgerC,
+        source_account: ledgerB + 'mary',
+        min_message_window: 1,
+        points: [ [0, 0], [100, 200] ]
+      })
+      const svg = this.tables.toSVG(ledgerA, ledgerC)
+      assert.ok(svg.indexOf('<title>ledgerB.mary</title>') !== -1)
+    })
+
+    it('labels local pairs with the local account', function () {
+      const svg = this.tables.toSVG(ledgerA, ledgerB)
+      assert.ok(svg.indexOf('<title>' + markB + '</title>') !== -1)
+    })
   })
 
   describe('addRoute', function () {
+    it('throws on an invalid curve by default', function () {
+      assert.throws(() => {
+        this.tables.addRoute({
+          source_ledger: ledgerB,
+          destination_ledger: ledgerC,
+          source_account: ledgerB + 'mary',
+          min_message_window: 1,
+          points: [ [0, 0], [50, 60], [40, 70], [100, 100] ]
+        })
+      }, /InvalidRouteError: Invalid route from ledgerB\.mary: points are invalid: Point 2 x-coordinate must be greater than 50: 40/)
+    })
+
+    it('ignores routes to prefixes that are not ILP address prefixes', function () {
+      assert.equal(this.tables.addRoute({
+        source_ledger: ledgerB,
+        destination_ledger: 'ledger C.',
+        source_account: ledgerB + 'mary',
+        min_message_window: 1,
+        points: [ [0, 0], [100, 100] ]
+      }), false)
+      assert.strictEqual(this.tables.sources.get(ledgerA).destinations.get('ledger C.'), null)
+    })
+
+    it('only matches destination prefixes at segment boundaries', function () {
+      this.tables.addRoute({
+        source_ledger: ledgerB,
+        destination_ledger: 'g.us',
+        source_account: ledgerB + 'mary',
+        min_message_window: 1,
+        points: [ [0, 0], [200, 100] ]
+      })
+      assert.equal(this.tables.findBestHopForSourceAmount(ledgerA, 'g.us.bob', 100).bestHop, ledgerB + 'mary')
+      assert.strictEqual(this.tables.findBestHopForSourceAmount(ledgerA, 'g.usd.alice', 100), undefined)
+    })
+
+    it('supports raw string matching', function () {
+      const tables = new RoutingTables([{
+        source_ledger: ledgerA,
+        destination_ledger: ledgerB,
+        min_message_window: 1,
+        source_account: markA,
+        points: [ [0, 0], [200, 100] ]
+      }], 45000, { matching: 'raw' })
+      tables.addRoute({
+        source_ledger: ledgerB,
+        destination_ledger: 'g.us',
+        source_account: ledgerB + 'mary',
+        min_message_window: 1,
+        points: [ [0, 0], [200, 100] ]
+      })
+      assert.equal(tables.findBestHopForSourceAmount(ledgerA, 'g.usd.alice', 100).bestHop, ledgerB + 'mary')
+    })
+
+    it('rejects invalid route data before changing the tables', function () {
+      const epoch = this.tables.currentEpoch
+      assert.throws(() => {
+        this.tables.addRoute({
+          source_ledger: ledgerB,
+          destination_ledger: ledgerC,
+          source_account: ledgerB + 'mary',
+          min_message_window: 1,
+          paths: 'ledgerD.',
+          points: [ [0, 0], [100, 100] ]
+        })
+      }, (err) => err.name === 'InvalidRouteError' && err.field === 'paths' && err.peer === ledgerB + 'mary')
+      assert.equal(this.tables.currentEpoch, epoch)
+      assert.equal(this.tables.toJSON(10).length, 2)
+    })
+
+    describe('with a verifier', function () {
+      beforeEach(function () {
+        this.key = { algorithm: 'hmac-sha256', secret: 'shared secret' }
+        const verifier = new RouteVerifier()
+        verifier.setPeer(ledgerB + 'mary', this.key)
+        this.tables = new RoutingTables([{
+          source_ledger: ledgerA,
+          destination_ledger: ledgerB,
+          min_message_window: 1,
+          source_account: markA,
+          points: [ [0, 0], [200, 100] ]
+        }], 45000, { verifier, repairCurves: true })
+        this.routeToC = {
+          source_ledger: ledgerB,
+          destination_ledger: ledgerC,
+          source_account: ledgerB + 'mary',
+          min_message_window: 1,
+          points: [ [0, 0], [50, 60], [40, 70], [100, 100] ]
+        }
+      })
+
+      it('adds signed routes', function () {
+        assert.equal(this.tables.addRoute(RouteVerifier.sign(this.routeToC, this.key)), true)
+      })
+
+      it('rejects unsigned routes without changing the tables', function () {
+        assert.throws(() => this.tables.addRoute(this.routeToC),
+          /InvalidRouteError: Invalid route from ledgerB\.mary: signature is missing/)
+        assert.equal(this.tables.toJSON(10).length, 1)
+      })
+
+      it('accepts routes from peers without a key', function () {
+        assert.equal(this.tables.addRoute(Object.assign({}, this.routeToC, {
+          source_account: ledgerB + 'martin'
+        })), true)
+      })
+    })
+
+    describe('with repairCurves', function () {
+      beforeEach(function () {
+        this.tables = new RoutingTables([{
+          source_ledger: ledgerA,
+          destination_ledger: ledgerB,
+          min_message_window: 1,
+          source_account: markA,
+          points: [ [0, 0], [200, 100] ]
+        }], 45000, { repairCurves: true })
+      })
+
+      it('drops invalid points', function () {
+        assert.equal(this.tables.addRoute({
+          source_ledger: ledgerB,
+          destination_ledger: ledgerC,
+          source_account: ledgerB + 'mary',
+          min_message_window: 1,
+          points: [ [0, 0], [50, 60], [40, 70], [100, 100] ]
+        }), true)
+        assert.deepStrictEqual(
+          this.tables.sources.get(ledgerA).destinations.get(ledgerC).get(ledgerB + 'mary').getPoints(),
+          [ [0, 0], [100, 60], [200, 100] ])
+      })
+
+      it('ignores routes whose curves can\'t be decoded', function () {
+        assert.equal(this.tables.addRoute({
+          source_ledger: ledgerB,
+          destination_ledger: ledgerC,
+          source_account: ledgerB + 'mary',
+          min_message_window: 1,
+          points: Buffer.from([ 0, 1, 2 ]).toString('base64')
+        }), false)
+        assert.strictEqual(this.tables.sources.get(ledgerA).destinations.get(ledgerC), null)
+      })
+
+      it('rejects data that is not an object', function () {
+        assert.throws(() => this.tables.addRoute(null),
+          /InvalidRouteError: Invalid route: route must be an object/)
+        assert.throws(() => this.tables.addRoute('ledgerC.'),
+          /InvalidRouteError: Invalid route: route must be an object/)
+      })
+    })
+
     it('doesn\'t create a route from A→B→A', function () {
       assert.strictEqual(
         this.tables.sources.get(ledgerA).destinations.get(ledgerA),
@@ -465,6 +799,247 @@ describe('RoutingTables', function () {
     })
   })
 
+  describe('snapshot', function () {
+    beforeEach(function () {
+      this.routeToC = {
+        source_ledger: ledgerB,
+        destination_ledger: ledgerC,
+        source_account: ledgerB + 'mary',
+        min_message_window: 1,
+        points: [ [0, 0], [50, 60] ]
+      }
+    })
+
+    it('doesn\'t see routes added or removed afterwards', function () {
+      const snapshot = this.tables.snapshot()
+      this.tables.addRoute(this.routeToC)
+      assert.equal(this.tables.toJSON(10).length, 3)
+      assert.equal(snapshot.toJSON(10).length, 2)
+      assert.strictEqual(snapshot.findBestHopForSourceAmount(ledgerA, ledgerC + 'carl', 100), undefined)
+
+      const snapshot2 = this.tables.snapshot()
+      this.tables.invalidateConnector(ledgerB + 'mary')
+      assert.equal(this.tables.toJSON(10).length, 2)
+      assert.equal(snapshot2.toJSON(10).length, 3)
+      assertSubset(
+        snapshot2.findBestHopForSourceAmount(ledgerA, ledgerC + 'carl', 100),
+        { bestHop: ledgerB + 'mary', bestValue: '60' })
+    })
+
+    it('doesn\'t see expirations bumped afterwards', function () {
+      this.tables.addRoute(this.routeToC)
+      const snapshot = this.tables.snapshot()
+      const route = snapshot._getRoute(ledgerA, ledgerC, ledgerB + 'mary')
+      this.clock.tick(10000)
+      this.tables.bumpConnector(ledgerB + 'mary', 45000)
+      assert.equal(route.expiresAt, START_DATE + 45000)
+      assert.equal(snapshot._getRoute(ledgerA, ledgerC, ledgerB + 'mary'), route)
+      assert.equal(this.tables._getRoute(ledgerA, ledgerC, ledgerB + 'mary').expiresAt, START_DATE + 55000)
+    })
+
+    it('throws when routes are added to it', function () {
+      const snapshot = this.tables.snapshot()
+      assert.throws(() => snapshot.addRoute(this.routeToC), /PrefixMap is a read-only snapshot/)
+      assert.equal(this.tables.toJSON(10).length, 2)
+    })
+  })
+
+  describe('diff', function () {
+    beforeEach(function () {
+      this.routeToC = {
+        source_ledger: ledgerB,
+        destination_ledger: ledgerC,
+        source_account: ledgerB + 'mary',
+        min_message_window: 1,
+        points: [ [0, 0], [50, 60] ]
+      }
+    })
+
+    it('returns nothing for the same state', function () {
+      assert.deepEqual(RoutingTables.diff(this.tables, this.tables.snapshot()),
+        { sources: { added: [], removed: [] }, destinations: [] })
+    })
+
+    it('reports next hops that were added and removed', function () {
+      const before = this.tables.snapshot()
+      this.tables.addRoute(this.routeToC)
+      assert.deepEqual(RoutingTables.diff(before, this.tables), {
+        sources: { added: [], removed: [] },
+        destinations: [ {
+          sourceLedger: ledgerA,
+          destination: ledgerC,
+          addedHops: [ ledgerB + 'mary' ],
+          removedHops: [],
+          changedHops: []
+        } ]
+      })
+      assert.deepEqual(RoutingTables.diff(this.tables, before).destinations[0].removedHops, [ ledgerB + 'mary' ])
+    })
+
+    it('reports curve changes', function () {
+      this.tables.addRoute(this.routeToC)
+      const before = this.tables.snapshot()
+      this.tables.addRoute(Object.assign({}, this.routeToC, { points: [ [0, 0], [50, 70] ] }))
+      const diff = RoutingTables.diff(before, this.tables)
+      assert.equal(diff.destinations.length, 1)
+      assert.deepEqual(diff.destinations[0].addedHops, [])
+      assert.equal(diff.destinations[0].changedHops.length, 1)
+      const change = diff.destinations[0].changedHops[0]
+      assert.equal(change.nextHop, ledgerB + 'mary')
+      assert.equal(change.curveChanged, true)
+      assert.deepEqual(change.before.getPoints(), [ [0, 0], [100, 60] ])
+      assert.deepEqual(change.after.getPoints(), [ [0, 0], [100, 70] ])
+    })
+
+    it('ignores expiry bumps', function () {
+      this.tables.addRoute(this.routeToC)
+      const before = this.tables.snapshot()
+      this.clock.tick(1000)
+      this.tables.bumpConnector(ledgerB + 'mary', 45000)
+      assert.deepEqual(RoutingTables.diff(before, this.tables).destinations, [])
+    })
+
+    it('reports sources that were added and removed', function () {
+      const tables = new RoutingTables([{
+        source_ledger: ledgerC,
+        destination_ledger: ledgerB,
+        min_message_window: 1,
+        source_account: ledgerC + 'mark',
+        destination_account: markB,
+        points: [ [0, 0], [200, 100] ]
+      }], 45000)
+      const diff = RoutingTables.diff(this.tables, tables)
+      assert.deepEqual(diff.sources, { added: [ ledgerC ], removed: [ ledgerB, ledgerA ] })
+      assert.deepEqual(diff.destinations, [ {
+        sourceLedger: ledgerB,
+        destination: ledgerA,
+        addedHops: [],
+        removedHops: [ markA ],
+        changedHops: []
+      }, {
+        sourceLedger: ledgerA,
+        destination: ledgerB,
+        addedHops: [],
+        removedHops: [ markB ],
+        changedHops: []
+      }, {
+        sourceLedger: ledgerC,
+        destination: ledgerB,
+        addedHops: [ markB ],
+        removedHops: [],
+        changedHops: []
+      } ])
+    })
+  })
+
+  describe('connectors', function () {
+    beforeEach(function () {
+      this.routeToC = {
+        source_ledger: ledgerB,
+        destination_ledger: ledgerC,
+        source_account: ledgerB + 'mary',
+        min_message_window: 1,
+        points: [ [0, 0], [50, 60] ],
+        connectors: [ ledgerB + 'mary' ]
+      }
+    })
+
+    it('ignores routes that already pass through one of our accounts', function () {
+      assert.equal(this.tables.addRoute(Object.assign({}, this.routeToC, {
+        connectors: [ ledgerB + 'mary', markA ]
+      })), false)
+      assert.equal(this.tables.addRoute(this.routeToC), true)
+    })
+
+    it('ignores routes that already pass through our connector ID', function () {
+      const tables = new RoutingTables([{
+        source_ledger: ledgerA,
+        destination_ledger: ledgerB,
+        min_message_window: 1,
+        source_account: markA,
+        points: [ [0, 0], [200, 100] ]
+      }], 45000, { connectorId: 'g.mark' })
+      assert.equal(tables.addRoute(Object.assign({}, this.routeToC, {
+        connectors: [ ledgerB + 'mary', 'g.mark' ]
+      })), false)
+    })
+
+    it('advertises routes with this connector first', function () {
+      this.tables.addRoute(this.routeToC)
+      const routeToC = this.tables.toJSON(10).find((route) => route.destination_ledger === ledgerC)
+      assert.deepStrictEqual(routeToC.connectors, [ markA, ledgerB + 'mary' ])
+
+      this.tables.connectorId = 'g.mark'
+      const routeToC2 = this.tables.toJSON(10).find((route) => route.destination_ledger === ledgerC)
+      assert.deepStrictEqual(routeToC2.connectors, [ 'g.mark', ledgerB + 'mary' ])
+    })
+
+    it('tells apart routes through different connectors on the same ledgers', function () {
+      this.tables.addRoute(this.routeToC)
+      const before = this.tables.snapshot()
+      this.tables.addRoute(Object.assign({}, this.routeToC, { connectors: [ ledgerB + 'mary', 'g.martin' ] }))
+      const changedHops = RoutingTables.diff(before, this.tables).destinations[0].changedHops
+      assert.equal(changedHops.length, 1)
+      assert.deepStrictEqual(changedHops[0].after.connectors, [ ledgerB + 'mary', 'g.martin' ])
+    })
+  })
+
+  describe('import and export policies', function () {
+    beforeEach(function () {
+      this.localRoute = {
+        source_ledger: ledgerA,
+        destination_ledger: ledgerB,
+        min_message_window: 1,
+        source_account: markA,
+        points: [ [0, 0], [200, 100] ]
+      }
+      this.routeToC = {
+        source_ledger: ledgerB,
+        destination_ledger: ledgerC,
+        source_account: ledgerB + 'mary',
+        min_message_window: 1,
+        points: [ [0, 0], [50, 60] ],
+        attributes: { communities: [ 'no-export' ], origin: 'static', med: 7 }
+      }
+    })
+
+    it('lets the import policy change or ignore routes', function () {
+      const tables = new RoutingTables([ this.localRoute ], 45000, {
+        importPolicy: (route) => route.hasCommunity('reject')
+          ? null
+          : route.withAttributes({ localPreference: 100 })
+      })
+      assert.equal(tables.addRoute(Object.assign({}, this.routeToC, {
+        attributes: { communities: [ 'reject' ] }
+      })), false)
+      assert.equal(tables.addRoute(this.routeToC), true)
+      assert.deepStrictEqual(tables._getRoute(ledgerA, ledgerC, ledgerB + 'mary').attributes, {
+        communities: [ 'no-export' ],
+        origin: 'static',
+        localPreference: 100,
+        med: 7
+      })
+    })
+
+    it('advertises transitive attributes only', function () {
+      const tables = new RoutingTables([ this.localRoute ], 45000)
+      tables.addRoute(this.routeToC)
+      const routeToC = tables.toJSON(10).find((route) => route.destination_ledger === ledgerC)
+      assert.deepStrictEqual(routeToC.attributes, { communities: [ 'no-export' ], origin: 'static' })
+    })
+
+    it('lets the export policy change or leave out routes', function () {
+      const tables = new RoutingTables([ this.localRoute ], 45000, {
+        exportPolicy: (route) => route.hasCommunity('no-export')
+          ? null
+          : route.withAttributes({ med: 1 })
+      })
+      tables.addRoute(this.routeToC)
+      assert.deepEqual(tables.toJSON(10).map((route) => route.destination_ledger), [ ledgerB ])
+      assert.deepStrictEqual(tables.toJSON(10)[0].attributes, { med: 1 })
+    })
+  })
+
   describe('toJSON', function () {
     it('returns a list of routes', function () {
       this.tables.addRoute({
@@ -488,6 +1063,7 @@ describe('RoutingTables', function () {
           destination_ledger: ledgerA,
           min_message_window: 1,
           source_account: markB,
+          connectors: [ markB ],
           points: serializePoints([ [0, 0], [100, 200] ]),
           added_during_epoch: 0,
           paths: [ [] ]
@@ -495,7 +1071,9 @@ describe('RoutingTables', function () {
           source_ledger: ledgerA,
           destination_ledger: ledgerC,
           min_message_window: 3,
+          expires_at: START_DATE + 45000,
           source_account: markA,
+          connectors: [ markA ],
           points: serializePoints([
             [0, 0], /* .. mary .. */
             [100, 60], /* .. mary (max) .. */
@@ -509,6 +1087,7 @@ describe('RoutingTables', function () {
           destination_ledger: ledgerB,
           min_message_window: 1,
           source_account: markA,
+          connectors: [ markA ],
           points: serializePoints([ [0, 0], [200, 100] ]),
           added_during_epoch: 0,
           paths: [ [] ]
@@ -516,6 +1095,42 @@ describe('RoutingTables', function () {
       ])
     })
 
+    it('advertises when the routes expire', function () {
+      this.tables.addRoute({
+        source_ledger: ledgerB,
+        destination_ledger: ledgerC,
+        source_account: ledgerB + 'mary',
+        min_message_window: 1,
+        points: [ [0, 0], [50, 60] ]
+      })
+      this.clock.tick(10000)
+      this.tables.addRoute({
+        source_ledger: ledgerB,
+        destination_ledger: ledgerC,
+        source_account: ledgerB + 'martin',
+        min_message_window: 1,
+        points: [ [0, 0], [100, 100] ]
+      })
+      this.tables.addRoute({
+        source_ledger: ledgerB,
+        destination_ledger: ledgerD,
+        source_account: ledgerB + 'mary',
+        min_message_window: 1,
+        points: [ [0, 0], [50, 60] ]
+      }, true)
+
+      const routes = this.tables.toJSON(2)
+      const routeToC = routes.find((route) => route.destination_ledger === ledgerC)
+      // The combined route is only good until mary's route expires.
+      assert.strictEqual(routeToC.expires_at, START_DATE + 45000)
+      assert.strictEqual(this.tables.toJSON({ absolute: 10 })
+        .find((route) => route.destination_ledger === ledgerC).expires_at, START_DATE + 45000)
+      assert.strictEqual(Route.fromData(routeToC, 0).expiresAt, START_DATE + 45000)
+      // Static routes and local pairs never expire.
+      assert.strictEqual(routes.find((route) => route.destination_ledger === ledgerD).expires_at, undefined)
+      assert.strictEqual(routes.find((route) => route.destination_ledger === ledgerB).expires_at, undefined)
+    })
+
     ;[
       {
         desc: 'finds an intersection between a segment and a tail',
@@ -562,7 +1177,9 @@ describe('RoutingTables', function () {
           source_ledger: ledgerA,
           destination_ledger: ledgerC,
           min_message_window: 2,
+          expires_at: START_DATE + 45000,
           source_account: markA,
+          connectors: [ markA ],
           points: jsonRoute.points,
           added_during_epoch: 2,
           paths: [ [] ]
@@ -572,6 +1189,82 @@ describe('RoutingTables', function () {
       })
     }, this)
 
+    it('never advertises more than the real curve when conservative', function () {
+      this.tables.addRoute({
+        source_ledger: ledgerB,
+        destination_ledger: ledgerC,
+        source_account: ledgerB + 'mary',
+        min_message_window: 1,
+        points: [ [0, 0], [30, 3], [60, 3], [100, 100] ]
+      })
+
+      const jsonRoute = this.tables.toJSON(3, { conservative: true })[1]
+      const curve = new LiquidityCurve(Buffer.from(jsonRoute.points, 'base64'))
+      const realCurve = this.tables.sources.get(ledgerA).destinations.get(ledgerC).get(ledgerB + 'mary').curve
+      assert.equal(curve.getPoints().length, 3)
+      for (let x = 0; x <= 300; x += 5) {
+        assert.ok(curve.amountAt(x).lte(realCurve.amountAt(x)), 'x=' + x)
+      }
+    })
+
+    it('simplifies each route within a tolerance', function () {
+      this.tables.addRoute({
+        source_ledger: ledgerB,
+        destination_ledger: ledgerC,
+        source_account: ledgerB + 'mary',
+        min_message_window: 1,
+        points: [ [0, 0], [25, 25], [50, 50], [75, 75], [100, 100] ]
+      })
+
+      const routes = this.tables.toJSON({ absolute: 0 })
+      assert.deepStrictEqual(routes.map((route) => route.points), [
+        serializePoints([ [0, 0], [100, 200] ]),
+        serializePoints([ [0, 0], [200, 100] ]),
+        serializePoints([ [0, 0], [200, 100] ])
+      ])
+    })
+
+    it('advertises the target prefix of combined routes', function () {
+      for (const mary of [ 'mary', 'martin' ]) {
+        this.tables.addRoute({
+          target_prefix: ledgerC + 'us.',
+          source_ledger: ledgerB,
+          destination_ledger: ledgerC,
+          source_account: ledgerB + mary,
+          min_message_window: 1,
+          points: [ [0, 0], [50, 60] ]
+        })
+      }
+      const routeToC = this.tables.toJSON(10).find((route) => route.destination_ledger === ledgerC)
+      assert.equal(routeToC.target_prefix, ledgerC + 'us.')
+    })
+
+    it('combines routes with options.combineStrategy', function () {
+      const tables = new RoutingTables([{
+        source_ledger: ledgerA,
+        destination_ledger: ledgerB,
+        min_message_window: 1,
+        source_account: markA,
+        points: [ [0, 0], [200, 100] ]
+      }], 45000, { combineStrategy: { minMessageWindow: (a, b) => Math.min(a, b) } })
+      tables.addRoute({
+        source_ledger: ledgerB,
+        destination_ledger: ledgerC,
+        source_account: ledgerB + 'mary',
+        min_message_window: 1,
+        points: [ [0, 0], [50, 60] ]
+      })
+      tables.addRoute({
+        source_ledger: ledgerB,
+        destination_ledger: ledgerC,
+        source_account: ledgerB + 'martin',
+        min_message_window: 2,
+        points: [ [0, 0], [100, 100] ]
+      })
+      const routeToC = tables.toJSON(10).find((route) => route.destination_ledger === ledgerC)
+      assert.equal(routeToC.min_message_window, 2)
+    })
+
     it('throws TypeError if maxPoints is not a number', function () {
       assert.throws(() => {
         this.tables.toJSON()